@@ -29,28 +29,105 @@ if (ko.version >= '3.4.0') {
     throw Error('This version of Deferred Updates supports Knockout version 3.3 and lower.');
 }
 
+var now = g.performance && g.performance.now ?
+    function() { return g.performance.now(); } :
+    function() { return new Date().getTime(); };
+
 /*
  * Task manager for deferred tasks
  */
 ko.tasks = (function() {
-    // Use setImmediate functions if available; otherwise use setTimeout
-    var setImmediate, clearImmediate;
-    if (g.setImmediate) {
-        setImmediate = 'setImmediate';
-        clearImmediate = 'clearImmediate';
-    } else {
-        setImmediate = 'setTimeout';
-        clearImmediate = 'clearTimeout';
+    // Schedulers run the task queue at a later time. Each has a "schedule" function that calls the given
+    // callback asynchronously and returns a handle, and a "cancel" function that cancels it using that handle.
+    function makeScheduler(scheduleName, cancelName) {
+        return {
+            schedule: function(callback) {
+                return g[scheduleName](callback);
+            },
+            cancel: function(handle) {
+                g[cancelName](handle);
+            }
+        };
     }
 
-    var evaluatorHandler, taskQueueHead = {}, taskQueueEnd = taskQueueHead, contextStack = [], processingItem, contextStart = taskQueueHead;
+    // Some ways of running a callback can't be canceled, so the handle is used to skip the callback instead
+    function makeUncancelableScheduler(queueCallback) {
+        return {
+            schedule: function(callback) {
+                var handle = {};
+                queueCallback(function() {
+                    if (!handle._canceled)
+                        callback();
+                });
+                return handle;
+            },
+            cancel: function(handle) {
+                handle._canceled = true;
+            }
+        };
+    }
+
+    var messageChannel, messageCallbacks = [];
+    function postMessageCallback(callback) {
+        if (!messageChannel) {
+            messageChannel = new g.MessageChannel();
+            messageChannel.port1.onmessage = function() {
+                messageCallbacks.shift()();
+            };
+            // Don't keep a Node.js process running just for the channel
+            if (messageChannel.port1.unref)
+                messageChannel.port1.unref();
+        }
+        messageCallbacks.push(callback);
+        messageChannel.port2.postMessage(0);
+    }
+
+    var schedulers = {
+        setImmediate: makeScheduler('setImmediate', 'clearImmediate'),
+        setTimeout: makeScheduler('setTimeout', 'clearTimeout'),
+        microtask: makeUncancelableScheduler(function(callback) {
+            if (g.queueMicrotask)
+                g.queueMicrotask(callback);
+            else
+                g.Promise.resolve().then(callback);
+        }),
+        // Message events, unlike timeouts, aren't throttled in background tabs
+        messageChannel: makeUncancelableScheduler(postMessageCallback),
+        animationFrame: makeScheduler('requestAnimationFrame', 'cancelAnimationFrame'),
+        nextTick: makeUncancelableScheduler(function(callback) {
+            g.process.nextTick(callback);
+        }),
+        // The manual scheduler never runs the queue; use ko.tasks.runNext or ko.tasks.runAll instead
+        manual: {
+            schedule: function() {
+                return true;
+            },
+            cancel: function() {}
+        },
+        // Used for idle tasks; the timeout makes sure that they're run even if the browser is never idle
+        idle: g.requestIdleCallback ? {
+            schedule: function(callback) {
+                return g.requestIdleCallback(callback, { timeout: tasks.idleTimeout });
+            },
+            cancel: function(handle) {
+                g.cancelIdleCallback(handle);
+            }
+        } : makeScheduler('setTimeout', 'clearTimeout')
+    };
+
+    var evaluatorHandler, evaluatorScheduler, taskQueueHead = {}, taskQueueEnd = taskQueueHead, contextStack = [], processingItem, processingDepth, contextStart = taskQueueHead,
+        groupStart = taskQueueHead, lanes = [], pausedFlush, errorHandler, slowTaskHandler, lastTaskId = 0, flushDepth = 0, idleCallbacks = [],
+        pendingCount = 0, eventHandlers = {}, savedScheduler, idleQueue = [], idleQueueHandler, idleQueueScheduler, timerTasks = [];
 
     // Begin a new task context. Any tasks that are scheduled during this context will be processed when the context ends
     function startTaskContext() {
-        // Save the previous context start in the stack
-        contextStack.push(contextStart);
+        // Save the previous context start (and the group that new tasks are added to) in the stack
+        contextStack.push({ _start: contextStart, _groupStart: groupStart, _lanes: lanes });
         // Set the new context start to the current task length: any newly scheduled tasks are part of the current context
-        contextStart = taskQueueEnd;
+        contextStart = groupStart = taskQueueEnd;
+        // A task that starts a context must stay in the queue even if it's replaced
+        contextStart._isContextStart = true;
+        lanes = [];
     }
 
     // End the current task context and process any scheduled tasks
@@ -58,76 +135,526 @@ ko.tasks = (function() {
         try {
             // Process any tasks that were scheduled within this context
             if (contextStart._next)
-                processTasks(contextStart);
+                processTasks(contextStart, true);
         } finally {
             // Move back into the previous context
-            contextStart = contextStack.pop() || taskQueueHead;
+            var context = contextStack.pop();
+            contextStart = context ? context._start : taskQueueHead;
+            groupStart = context ? context._groupStart : taskQueueHead;
+            lanes = context ? context._lanes : [];
+            resolveIfIdle();
         }
     }
 
-    function processTasks(start) {
-        var countProcessed = 0, countMarks = 0;
+    // Start a new group of tasks at the end of the queue; newly scheduled tasks are sorted by priority within the group
+    function startTaskGroup() {
+        taskQueueEnd = taskQueueEnd._next = groupStart = { _mark: true };
+        lanes = [];
+    }
 
-        // Add a mark to the end of the queue; each one marks the end of a logical group of tasks
-        // and the number of these groups is limited to prevent unchecked recursion.
-        taskQueueEnd = taskQueueEnd._next = { _mark: true };
+    function processTasks(start, immediate, shouldStop) {
+        var countProcessed = 0, countMarks = 0, countAtStart = 0, runCounts = {}, taskId,
+            stoppedItem, taskErrors = [],
+            flushStartTime = now(), taskStartTime, slowTaskThreshold = tasks.slowTaskThreshold, depth = immediate ? contextStack.length : 0;
+
+        if (start === taskQueueHead && pausedFlush) {
+            // Continue processing where the last time-limited flush stopped; the queue already ends with a mark
+            countAtStart = countProcessed = pausedFlush._processed;
+            countMarks = pausedFlush._marks;
+            runCounts = pausedFlush._runCounts;
+            pausedFlush = undefined;
+        } else {
+            // Add a mark to the end of the queue; each one marks the end of a logical group of tasks
+            // and the number of these groups is limited to prevent unchecked recursion.
+            startTaskGroup();
+        }
 
+        ++flushDepth;
+        if (hasEventHandlers('flushStarted'))
+            notifyEvent('flushStarted', { queueLength: pendingCount, immediate: immediate, time: flushStartTime });
         try {
-            for (var item = start; item = item._next; ) {
+            for (var item = start, completed; item = item._next; ) {
                 processingItem = item;
+                processingDepth = depth;
                 if (item._mark) {
                     // When we encounter a mark, increment the mark counter and append a new mark to the queue
                     if (item._next) {
-                        if (++countMarks >= 5000)
-                            throw Error("'Too much recursion' after processing " + countProcessed + " tasks.");
-                        taskQueueEnd = taskQueueEnd._next = { _mark: true };
+                        if (++countMarks >= tasks.recursionLimit)
+                            throw recursionError(item, countProcessed, runCounts);
+                        startTaskGroup();
                     }
                 } else if (!item._done) {
-                    item._done = true;
-                    item._func.apply(item.object, item.args || []);
+                    // Stop if asked to (such as when we've run out of time); the remaining tasks will be processed later
+                    if (shouldStop && countProcessed > countAtStart && shouldStop(countProcessed - countAtStart)) {
+                        stoppedItem = item;
+                        break;
+                    }
+                    markTaskDone(item);
+                    taskId = item._func._taskId || (item._func._taskId = ++lastTaskId);
+                    runCounts[taskId] = (runCounts[taskId] || 0) + 1;
+                    if (hasEventHandlers('taskStarted'))
+                        notifyTaskEvent('taskStarted', item, immediate);
+                    taskStartTime = (slowTaskThreshold || hasEventHandlers('taskFinished')) ? now() : undefined;
+                    try {
+                        item._func.apply(item.object, item.args || []);
+                    } catch (e) {
+                        // Keep processing the other tasks; the error is reported when this flush is done
+                        taskErrors.push({ _error: e, _task: item });
+                    }
                     ++countProcessed;
+                    if (taskStartTime !== undefined) {
+                        if (slowTaskThreshold && now() - taskStartTime > slowTaskThreshold)
+                            reportSlowTask(item, now() - taskStartTime);
+                        if (hasEventHandlers('taskFinished'))
+                            notifyTaskEvent('taskFinished', item, immediate, taskStartTime);
+                    }
                 }
             }
+            completed = true;
         } finally {
+            if (!completed && !stoppedItem) {
+                // Tasks that are removed from the queue because of an exception are no longer pending
+                for (item = start; item = item._next; )
+                    markTaskDone(item);
+            }
             if (start !== taskQueueHead) {
                 // Remove the items we've just processed
                 start._next = null;
                 taskQueueEnd = start;
+            } else if (stoppedItem) {
+                // Remove the items we've just processed and schedule the rest
+                taskQueueHead._next = stoppedItem;
+                stoppedItem._prev = taskQueueHead;
+                pausedFlush = { _processed: countProcessed, _marks: countMarks, _runCounts: runCounts };
+                scheduleTaskProcessing();
             } else {
                 // Clear the queue, stack and handler
                 contextStack = [];
+                lanes = [];
                 taskQueueHead._next = null;
-                contextStart = taskQueueEnd = taskQueueHead;
+                contextStart = groupStart = taskQueueEnd = taskQueueHead;
 
                 if (evaluatorHandler)
-                    g[clearImmediate](evaluatorHandler);
-                evaluatorHandler = undefined;
+                    evaluatorScheduler.cancel(evaluatorHandler);
+                evaluatorHandler = evaluatorScheduler = undefined;
             }
             processingItem = undefined;
+            --flushDepth;
+
+            if (hasEventHandlers('flushEnded')) {
+                var flushEndTime = now();
+                notifyEvent('flushEnded', {
+                    queueLength: pendingCount,
+                    immediate: immediate,
+                    processed: countProcessed - countAtStart,
+                    time: flushEndTime,
+                    duration: flushEndTime - flushStartTime
+                });
+            }
+
+            if (taskErrors.length && errorHandler)
+                reportTaskErrors(taskErrors);
+            resolveIfIdle();
+        }
+        if (taskErrors.length)
+            throw combineTaskErrors(taskErrors);
+        return countProcessed - countAtStart;
+    }
+
+    function isIdle() {
+        return !pendingCount && !flushDepth && !contextStack.length;
+    }
+
+    function hasEventHandlers(event) {
+        var handlers = eventHandlers[event];
+        return handlers && handlers.length;
+    }
+
+    function notifyEvent(event, info) {
+        ko.utils.arrayForEach(eventHandlers[event].slice(0), function(handler) {
+            handler(info);
+        });
+    }
+
+    function notifyTaskEvent(event, task, immediate, startTime) {
+        var time = now();
+        notifyEvent(event, {
+            task: task,
+            computed: task.computed,
+            name: computedName(task.computed),
+            node: task.node,
+            queueLength: pendingCount,
+            immediate: immediate,
+            time: time,
+            duration: startTime !== undefined ? time - startTime : undefined
+        });
+    }
+
+    function resolveIfIdle() {
+        if (idleCallbacks.length && isIdle()) {
+            ko.utils.arrayForEach(idleCallbacks.splice(0, idleCallbacks.length), function(resolve) {
+                resolve();
+            });
+        }
+    }
+
+    // Create an error that describes the tasks that are still being scheduled when the recursion limit is reached
+    function recursionError(mark, countProcessed, runCounts) {
+        var recursiveTasks = [], names = [];
+        for (var item = mark; (item = item._next) && !item._mark; ) {
+            if (!item._done) {
+                recursiveTasks.push({
+                    func: item._func,
+                    computed: item.computed,
+                    name: computedName(item.computed),
+                    node: item.node,
+                    runCount: runCounts[item._func._taskId] || 0
+                });
+            }
+        }
+        recursiveTasks.sort(function(a, b) {
+            return b.runCount - a.runCount;
+        });
+        ko.utils.arrayForEach(recursiveTasks, function(task) {
+            if (task.name && ko.utils.arrayIndexOf(names, task.name) < 0)
+                names.push(task.name);
+        });
+
+        var error = Error("'Too much recursion' after processing " + countProcessed + " tasks. " +
+            recursiveTasks.length + " task(s) were still being scheduled" +
+            (names.length ? ", including computed '" + names.join("', '") + "'" : "") + "; see the error's 'tasks' property.");
+        error.tasks = recursiveTasks;
+        return error;
+    }
+
+    function reportTaskErrors(taskErrors) {
+        var handler = errorHandler;
+        // Clear the list so that the errors aren't also thrown; an error thrown by the handler is thrown instead
+        ko.utils.arrayForEach(taskErrors.splice(0, taskErrors.length), function(taskError) {
+            try {
+                handler(taskError._error, taskError._task);
+            } catch (e) {
+                taskErrors.push({ _error: e, _task: taskError._task });
+            }
+        });
+    }
+
+    // The first error is thrown with all of the errors, and the tasks that threw them, in its "errors" property
+    function combineTaskErrors(taskErrors) {
+        var error = taskErrors[0]._error;
+        if (error && typeof error == 'object') {
+            error.errors = ko.utils.arrayMap(taskErrors, function(taskError) {
+                return { error: taskError._error, task: taskError._task };
+            });
+        }
+        return error;
+    }
+
+    function computedName(computed) {
+        return computed && computed.getName ? computed.getName() : undefined;
+    }
+
+    // Report a task that took longer than ko.tasks.slowTaskThreshold, along with what it was updating
+    function reportSlowTask(item, duration) {
+        var computed = item.computed,
+            report = {
+                task: item,
+                duration: duration,
+                computed: computed,
+                name: computedName(computed),
+                node: item.node,
+                dependenciesCount: computed && computed.getDependenciesCount()
+            };
+        if (slowTaskHandler) {
+            slowTaskHandler(report);
+        } else if (g.console) {
+            g.console.warn('Slow task took ' + Math.round(duration) + ' ms' +
+                (computed ? ' updating ' + (item.node ? 'binding' : 'computed') + " '" + (report.name || '(anonymous)') + "' with " + report.dependenciesCount + ' dependencies' : ''),
+                item.node || '');
         }
-        return countProcessed;
     }
 
     function processAllTasks() {
         // Don't process all tasks if already processing tasks
         if (!processingItem) {
-            return processTasks(taskQueueHead);
+            return processTasks(taskQueueHead, false);
+        }
+    }
+
+    function scheduleTaskProcessing() {
+        // Remember the scheduler used so that the same one cancels it, even if ko.tasks.scheduler is changed
+        evaluatorScheduler = tasks.scheduler;
+        evaluatorHandler = evaluatorScheduler.schedule(processScheduledTasks);
+    }
+
+    function switchScheduler(scheduler) {
+        tasks.scheduler = scheduler;
+        // Move any scheduled run to the new scheduler
+        if (evaluatorHandler) {
+            evaluatorScheduler.cancel(evaluatorHandler);
+            scheduleTaskProcessing();
+        }
+    }
+
+    function processScheduledTasks() {
+        // Tasks run by the scheduler are limited by ko.tasks.timeBudget
+        var timeBudget = tasks.timeBudget, stopTime = timeBudget && now() + timeBudget;
+        if (!processingItem) {
+            processTasks(taskQueueHead, false, stopTime && function() {
+                return now() >= stopTime;
+            });
+        }
+    }
+
+    function processNextTask() {
+        if (!processingItem) {
+            return processTasks(taskQueueHead, false, function(countProcessed) {
+                return countProcessed >= 1;
+            });
+        }
+    }
+
+    // Each queued task is a Task object, which is also returned from processDelayed as a handle for the task
+    function Task(evaluator, options) {
+        ko.utils.extend(this, options);
+        this._func = evaluator;
+        this._priority = this.priority !== undefined ? this.priority : this.node ? tasks.priority.binding : tasks.priority.normal;
+    }
+    Task.prototype.cancel = function() {
+        markTaskDone(this);
+        // No flush might be coming to resolve whenIdle, such as when the canceled task was waiting for a timer
+        resolveIfIdle();
+    };
+    Task.prototype.isPending = function() {
+        return !this._done;
+    };
+
+    function markTaskDone(item) {
+        if (!item._done && !item._mark) {
+            item._done = true;
+            --pendingCount;
+            // A timer task that's canceled or replaced before its timer fires no longer needs the timer
+            if (item._timer)
+                clearTimerTask(item);
+            // Point the evaluator to its previous task, which might still be pending in an outer context
+            if (item._func._task === item)
+                item._func._task = item._prevTask;
         }
     }
 
+    // Each evaluator points to its latest pending task, which points to the previous one (if any). A task that
+    // is pending is in an active context, so only the latest pending task can be in the current scope.
+    function findPendingTask(evaluator) {
+        var item = evaluator._task;
+        while (item && item._done)
+            item = item._prevTask;
+        return item;
+    }
+
     function clearDuplicate(evaluator) {
-        for (var link = processingItem || contextStart, item; item = link._next; link = item)
-            if (item._func === evaluator && !item._done) {
-                // remove the item from the queue
-                link._next = item._next;
-                if (!link._next)
-                    taskQueueEnd = link;
-                return true;
-            }
+        // Only tasks in the current context, or in the context being processed, are considered duplicates
+        var item = findPendingTask(evaluator),
+            scopeDepth = processingItem ? processingDepth : contextStack.length;
+        if (item && item._depth >= scopeDepth) {
+            markTaskDone(item);
+            if (!item._isContextStart)
+                removeTask(item);
+            return true;
+        }
         return false;
     }
 
+    // Remove a task from the queue, moving back any lane that ends with it
+    function removeTask(item) {
+        var prev = item._prev, next = item._next;
+        ko.utils.arrayForEach(item._lanes, function(lane) {
+            if (lane._end === item)
+                lane._end = prev;
+        });
+        prev._next = next;
+        if (next)
+            next._prev = prev;
+        if (item === taskQueueEnd)
+            taskQueueEnd = prev;
+        item._next = item._prev = item._lanes = undefined;
+    }
+
+    function enqueueTask(item) {
+        var priority = item._priority, link = groupStart, lane, i;
+        // Lanes are kept in descending order of priority; find the last one with an equal or higher priority
+        for (i = 0; (lane = lanes[i]) && lane._priority >= priority; i++)
+            link = lane._end;
+        if (!i || lanes[i-1]._priority !== priority)
+            lanes.splice(i++, 0, { _priority: priority });
+        lanes[i-1]._end = item;
+        // Lanes that were emptied by removing their tasks end where this one started
+        for (; (lane = lanes[i]) && lane._end === link; i++)
+            lane._end = item;
+        item._lanes = lanes;
+
+        // Insert the task after the end of that lane
+        item._prev = link;
+        item._next = link._next;
+        link._next = item;
+        if (item._next)
+            item._next._prev = item;
+        if (link === taskQueueEnd)
+            taskQueueEnd = item;
+    }
+
+    // Idle and timer tasks wait outside of the queue. Only the latest one for an evaluator is run unless "distinct" is false.
+    function replaceWaitingTask(item, previous, distinct) {
+        item._replaced = (distinct || distinct === undefined) && !!previous && !previous._done;
+        if (item._replaced)
+            markTaskDone(previous);
+    }
+
+    function addWaitingTask(item) {
+        ++pendingCount;
+        if (hasEventHandlers('taskScheduled'))
+            notifyTaskEvent('taskScheduled', item, false);
+        return item;
+    }
+
+    // Move tasks that were waiting into the queue and run them in a new context
+    function processWaitingTasks(items) {
+        var countMoved = 0;
+        tasks.processImmediate(function() {
+            ko.utils.arrayForEach(items, function(item) {
+                if (!item._done) {
+                    item._depth = contextStack.length;
+                    item._prevTask = findPendingTask(item._func);
+                    item._func._task = item;
+                    enqueueTask(item);
+                    ++countMoved;
+                }
+            });
+        });
+        return countMoved;
+    }
+
+    // Idle tasks wait in a separate list until the browser is idle
+    function scheduleIdleTask(evaluator, distinct, options) {
+        var item = new Task(evaluator, options);
+        replaceWaitingTask(item, evaluator._idleTask, distinct);
+        evaluator._idleTask = item;
+        idleQueue.push(item);
+
+        if (!idleQueueHandler) {
+            idleQueueScheduler = tasks.idleScheduler;
+            idleQueueHandler = idleQueueScheduler.schedule(processIdleTasks);
+        }
+        return addWaitingTask(item);
+    }
+
+    function processIdleTasks() {
+        var items = idleQueue;
+        idleQueue = [];
+        if (idleQueueHandler)
+            idleQueueScheduler.cancel(idleQueueHandler);
+        idleQueueHandler = idleQueueScheduler = undefined;
+        return processWaitingTasks(items);
+    }
+
+    // Timer tasks each have their own timer and are run once it fires (or by processAllDeferredUpdates)
+    function scheduleTimerTask(evaluator, distinct, options) {
+        var item = new Task(evaluator, options);
+        replaceWaitingTask(item, evaluator._timerTask, distinct);
+        evaluator._timerTask = item;
+        item._dueTime = now() + item.delay;
+        item._timer = setTimeout(function() {
+            processTimerTasks([item]);
+        }, item.delay);
+        timerTasks.push(item);
+        return addWaitingTask(item);
+    }
+
+    function clearTimerTask(item) {
+        clearTimeout(item._timer);
+        item._timer = undefined;
+        ko.utils.arrayRemoveItem(timerTasks, item);
+    }
+
+    function processTimerTasks(items) {
+        ko.utils.arrayForEach(items, clearTimerTask);
+        return processWaitingTasks(items);
+    }
+
+    // Run all the pending timer tasks in the order they're due, including any that are set by those tasks
+    function processAllTimerTasks() {
+        for (var countRuns = 0; timerTasks.length; ) {
+            if (++countRuns >= tasks.recursionLimit)
+                throw Error("'Too much recursion' after running timer tasks " + countRuns + " times.");
+            processTimerTasks(timerTasks.slice(0).sort(function(a, b) {
+                return a._dueTime - b._dueTime;
+            }));
+            processAllTasks();
+        }
+    }
+
     var tasks = {
+        // Tasks with a higher priority are run before those with a lower priority that were scheduled in the same group.
+        // Binding updates (tasks associated with a node) default to a higher priority than other tasks.
+        priority: {
+            normal: 0,
+            binding: 1
+        },
+
+        schedulers: schedulers,
+
+        // Use setImmediate if available; otherwise use setTimeout
+        scheduler: g.setImmediate ? schedulers.setImmediate : schedulers.setTimeout,
+
+        // The number of times that tasks can schedule other tasks (or themselves) during a single flush of the queue
+        recursionLimit: 5000,
+
+        // If set, scheduled task processing stops after this many milliseconds and the remaining tasks are
+        // processed in the next scheduled run. This doesn't affect processImmediate or processAllDeferredUpdates.
+        timeBudget: undefined,
+
+        // Set a function to be called with any exception thrown by a task, along with the task (which includes
+        // the task's computed, node, object, and args). Otherwise the first exception is re-thrown after
+        // the remaining tasks are processed.
+        onError: function(handler) {
+            errorHandler = handler;
+        },
+
+        // In development, set this to a number of milliseconds to report tasks that take longer. Reports are logged
+        // using console.warn unless a handler is set using onSlowTask.
+        slowTaskThreshold: undefined,
+
+        onSlowTask: function(handler) {
+            slowTaskHandler = handler;
+        },
+
+        // Switch to the manual scheduler, which lets tests step through the queue using runNext and runAll
+        useManualScheduler: function() {
+            if (tasks.scheduler !== schedulers.manual) {
+                savedScheduler = tasks.scheduler;
+                switchScheduler(schedulers.manual);
+            }
+        },
+
+        restoreScheduler: function() {
+            if (savedScheduler) {
+                switchScheduler(savedScheduler);
+                savedScheduler = undefined;
+            }
+        },
+
+        // Run the next task in the queue; returns the number of tasks run
+        runNext: processNextTask,
+
+        runAll: processAllTasks,
+
+        // Idle tasks (scheduled with the "idle" option) are run by this scheduler instead of the main one. They're
+        // run within this many milliseconds, even if the browser isn't idle (when requestIdleCallback is supported).
+        idleScheduler: schedulers.idle,
+        idleTimeout: 1000,
+
+        // Run the idle tasks now instead of waiting for the browser to be idle; returns the number of idle tasks run
+        runIdle: processIdleTasks,
+
         processImmediate: function(evaluator, object, args) {
             startTaskContext();
             try {
@@ -144,16 +671,88 @@ ko.tasks = (function() {
             }
             var foundDup = (distinct || distinct === undefined) && clearDuplicate(evaluator);
 
-            var item = options || {};
-            item._func = evaluator;
+            if (options && options.idle)
+                return scheduleIdleTask(evaluator, distinct, options);
+            if (options && options.delay !== undefined)
+                return scheduleTimerTask(evaluator, distinct, options);
 
-            taskQueueEnd._next = item;
-            taskQueueEnd = item;
+            var item = new Task(evaluator, options);
+            item._replaced = foundDup;
+            item._depth = contextStack.length;
+            item._prevTask = findPendingTask(evaluator);
+            evaluator._task = item;
+
+            enqueueTask(item);
+            ++pendingCount;
+            if (hasEventHandlers('taskScheduled'))
+                notifyTaskEvent('taskScheduled', item, !!contextStack.length);
 
             if (!contextStack.length && !evaluatorHandler) {
-                evaluatorHandler = g[setImmediate](processAllTasks);
+                scheduleTaskProcessing();
+            }
+            return item;
+        },
+
+        // Returns a promise that is resolved once there are no more tasks to process, including any tasks that
+        // are scheduled while processing the queue
+        whenIdle: function() {
+            return new g.Promise(function(resolve) {
+                idleCallbacks.push(resolve);
+                resolveIfIdle();
+            });
+        },
+
+        // Returns a list of the tasks waiting to run. Each entry's "context" is the depth of the processImmediate
+        // context that will run the task; tasks with a context of 0 are run by the scheduler.
+        getPending: function() {
+            var starts = ko.utils.arrayMap(contextStack, function(context) { return context._start; }).concat(contextStart),
+                pending = [], depth = 0;
+            function addPending(item) {
+                pending.push({
+                    task: item,
+                    evaluator: item._func,
+                    object: item.object,
+                    args: item.args,
+                    node: item.node,
+                    computed: item.computed,
+                    name: computedName(item.computed),
+                    priority: item._priority,
+                    idle: !!item.idle,
+                    delay: item.delay,
+                    context: depth
+                });
+            }
+            for (var item = taskQueueHead; item; item = item._next) {
+                if (item._func && !item._done)
+                    addPending(item);
+                // The tasks after a context's start belong to that context
+                while (depth < contextStack.length && item === starts[depth + 1])
+                    ++depth;
             }
-            return !foundDup;
+            // Idle and timer tasks are listed last since they're run after the others
+            depth = 0;
+            ko.utils.arrayForEach(idleQueue, function(item) {
+                if (!item._done)
+                    addPending(item);
+            });
+            ko.utils.arrayForEach(timerTasks, addPending);
+            return pending;
+        },
+
+        getContextDepth: function() {
+            return contextStack.length;
+        },
+
+        // Subscribe to task queue events: "taskScheduled", "taskStarted", "taskFinished", "flushStarted" and "flushEnded"
+        subscribe: function(callback, callbackTarget, event) {
+            var boundCallback = callbackTarget ? callback.bind(callbackTarget) : callback,
+                handlers = eventHandlers[event] || (eventHandlers[event] = []);
+            handlers.push(boundCallback);
+            return {
+                dispose: function() {
+                    ko.utils.arrayRemoveItem(handlers, boundCallback);
+                }
+            };
         },
 
         makeProcessedCallback: function(evaluator) {
@@ -163,20 +762,76 @@ ko.tasks = (function() {
         }
     };
 
-    ko.processDeferredBindingUpdatesForNode =       // deprecated (included for compatibility)
     ko.processAllDeferredBindingUpdates = function() {
         for (var item = taskQueueHead; item = item._next; ) {
             if (item.node && !item._done) {
-                item._done = true;
+                markTaskDone(item);
                 item._func.call();
             }
         }
     };
 
-    ko.processAllDeferredUpdates = processAllTasks;
+    function isNodeWithin(node, rootNode) {
+        for (; node; node = node.parentNode) {
+            if (node === rootNode)
+                return true;
+        }
+        return false;
+    }
+
+    // Process the pending updates for bindings on the given node and its descendants, along with the
+    // updates for any computed observables those bindings depend on
+    ko.processDeferredBindingUpdatesForNode = function(rootNode) {
+        if (!rootNode) {
+            return ko.processAllDeferredBindingUpdates();   // for compatibility with the previous version
+        }
 
+        var upstream = {}, item;
+        function addDependencies(computed) {
+            ko.utils.arrayForEach(computed.getDependencies(), function(dependency) {
+                if (dependency.getDependencies && !upstream[dependency._id]) {
+                    upstream[dependency._id] = true;
+                    addDependencies(dependency);
+                }
+            });
+        }
+
+        for (item = taskQueueHead; item = item._next; ) {
+            if (item.computed && !item._done && isNodeWithin(item.node, rootNode))
+                addDependencies(item.computed);
+        }
+
+        function isUpstream(item) {
+            return item.computed && upstream[item.computed._id];
+        }
+        function isWithinNode(item) {
+            return isNodeWithin(item.node, rootNode);
+        }
+        function runFirstTask(filter) {
+            for (var item = taskQueueHead; item = item._next; ) {
+                if (!item._done && filter(item)) {
+                    markTaskDone(item);
+                    item._func.apply(item.object, item.args || []);
+                    return true;
+                }
+            }
+        }
+
+        // Update the computed observables first so that each binding is only updated once. Start from the
+        // beginning of the queue after each task since binding updates can be scheduled ahead of the current one.
+        while (runFirstTask(isUpstream) || runFirstTask(isWithinNode)) { }
+    };
+
+    ko.processAllDeferredUpdates = function(options) {
+        var countProcessed = processAllTasks();
+        if (options && options.includeTimers)
+            processAllTimerTasks();
+        return countProcessed;
+    };
+
+    // Returns a task handle; use its "cancel" function to stop the evaluator from being run
     ko.evaluateAsynchronously = function(evaluator, timeout) {
-        return setTimeout(tasks.makeProcessedCallback(evaluator), timeout);
+        return tasks.processDelayed(evaluator, false, { delay: timeout });
     };
 
     return tasks;
@@ -347,6 +1002,35 @@ depDet[depDetRegisterName] = function (subscribable) {
         currentFrame.callback(subscribable, subscribable._id || (subscribable._id = getId()));
     }
 };
+
+// When ko.computed.detectCycles is set, reading a computed observable while it's being evaluated is reported as a
+// dependency cycle. The path is found from the frames of the computed observables that are being evaluated.
+function checkForCycle(computed) {
+    var frames = outerFrames.concat([currentFrame]), path = [], i;
+    for (i = 0; i < frames.length; i++) {
+        if (frames[i] && frames[i].computed === computed)
+            break;
+    }
+    if (i == frames.length)
+        return;
+    for (; i < frames.length; i++) {
+        if (frames[i] && frames[i].computed)
+            path.push(frames[i].computed);
+    }
+    path.push(computed);
+
+    var error = Error('Dependency cycle detected: ' + ko_utils.arrayMap(path, function(item) {
+        return item.getName() || '(anonymous #' + (item._id || (item._id = getId())) + ')';
+    }).join(' \u2192 '));
+    error.path = path;
+    if (newComputed.detectCycles == 'log') {
+        if (g.console)
+            g.console.error(error.message);
+    } else {
+        throw error;
+    }
+}
+
 ko.ignoreDependencies = depDet[depDetIgnoreName] = function(callback, callbackTarget, callbackArgs) {
     try {
         depDet[depDetBeginName]();
@@ -376,8 +1060,34 @@ subFnObj[subFnName] = subFnObj.subscribe = function (callback, callbackTarget, e
         if (event != 'change' || !ko.isObservable(this) /* test isObservable because components use ko.subscribable internally */) {
             newCallback = boundCallback;
         } else {
+            // Keep track of the previous value so that batched subscriptions can include the old values
+            var lastValue = ko.isComputed(this) ? this._latestValue : this.peek(),
+                batchValues, batchOldValues,
+                deliverBatch = function() {
+                    var values = batchValues, oldValues = batchOldValues;
+                    // The values might already have been delivered by a task that was scheduled in another context
+                    if (values) {
+                        batchValues = batchOldValues = undefined;
+                        boundCallback(values, oldValues);
+                    }
+                };
             newCallback = function(valueToNotify) {
-                if ((newComputed.deferUpdates && subscription.deferUpdates !== false) || subscription.deferUpdates)
+                var isDeferred = (newComputed.deferUpdates && subscription.deferUpdates !== false) || subscription.deferUpdates,
+                    oldValue = lastValue;
+                lastValue = valueToNotify;
+                if (subscription.batch) {
+                    // Batched subscriptions are called with all the values (and old values) since the last call
+                    if (!batchValues) {
+                        batchValues = [];
+                        batchOldValues = [];
+                    }
+                    batchValues.push(valueToNotify);
+                    batchOldValues.push(oldValue);
+                    if (isDeferred)
+                        ko.tasks.processDelayed(deliverBatch);
+                    else
+                        deliverBatch();
+                } else if (isDeferred)
                     ko.tasks.processDelayed(boundCallback, {args: [valueToNotify]});
                 else
                     boundCallback(valueToNotify);
@@ -402,7 +1112,10 @@ subFnObj[subFnName] = subFnObj.subscribe = function (callback, callbackTarget, e
  */
 var oldnotifySubscribers = subFnObj.notifySubscribers, notifyQueue;
 subFnObj.notifySubscribers = function (valueToNotify, event) {
-    if (event === 'change' || event === 'dirty' || event === undefined) {
+    if (transactionLogs.length && (event === 'change' || event === 'beforeChange' || event === undefined) && ko.isObservable(this) && !ko.isComputed(this)) {
+        // Observables written within a transaction notify when it's complete
+        logTransactionWrite(this, valueToNotify, event === 'beforeChange');
+    } else if (event === 'change' || event === 'dirty' || event === undefined) {
         if (!notifyQueue) {
             try {
                 notifyQueue = [];
@@ -422,6 +1135,83 @@ subFnObj.notifySubscribers = function (valueToNotify, event) {
         oldnotifySubscribers.call(this, valueToNotify, event);
     }
 };
+
+/*
+ * Add ko.transaction, which runs a function and then notifies once for each observable it wrote. If the function
+ * throws an exception, the observables are restored to their previous values instead, without notifying.
+ */
+var transactionLogs = [];
+function logTransactionWrite(target, value, isBeforeChange) {
+    var log = transactionLogs[transactionLogs.length - 1],
+        id = target._id || (target._id = getId()),
+        entry = log._byId[id];
+    if (!entry) {
+        entry = log._byId[id] = { _target: target };
+        log._entries.push(entry);
+    }
+    // The first "beforeChange" notification has the value from before the transaction; copy arrays since they're changed in place
+    if (isBeforeChange && !entry._hasOldValue) {
+        entry._hasOldValue = true;
+        entry._oldValue = objectToString.call(value) === '[object Array]' ? value.slice(0) : value;
+    }
+}
+
+function newTransactionLog() {
+    return { _entries: [], _byId: {} };
+}
+
+function rollbackTransaction(log) {
+    // Writes while restoring the values are logged separately and then discarded so that they don't notify
+    transactionLogs.push(newTransactionLog());
+    try {
+        for (var i = log._entries.length - 1, entry; entry = log._entries[i]; i--) {
+            if (entry._hasOldValue)
+                entry._target(entry._oldValue);
+        }
+    } finally {
+        transactionLogs.pop();
+    }
+}
+
+function notifyTransactionWrites(log) {
+    ko_utils_arrayForEach(log._entries, function(entry) {
+        var target = entry._target, value = target.peek();
+        if (entry._hasOldValue && target.equalityComparer && target.equalityComparer(entry._oldValue, value))
+            return;     // the value was changed back
+        if (entry._hasOldValue)
+            target.notifySubscribers(entry._oldValue, 'beforeChange');
+        target.notifySubscribers(value);
+    });
+}
+
+ko.transaction = function(callback, callbackTarget) {
+    var log = newTransactionLog(), result;
+    transactionLogs.push(log);
+    try {
+        result = callback.call(callbackTarget);
+    } catch (e) {
+        rollbackTransaction(log);
+        throw e;
+    } finally {
+        transactionLogs.pop();
+    }
+
+    var outerLog = transactionLogs[transactionLogs.length - 1];
+    if (outerLog) {
+        // A nested transaction is part of the outer one; keep the values from before the outer one started
+        ko_utils_arrayForEach(log._entries, function(entry) {
+            var id = entry._target._id;
+            if (!outerLog._byId[id]) {
+                outerLog._byId[id] = entry;
+                outerLog._entries.push(entry);
+            }
+        });
+    } else {
+        notifyTransactionWrites(log);
+    }
+    return result;
+};
+
 // Provide a method to return a list of dependents (computed observables that depend on the subscribable)
 subFnObj.getDependents = function() {
     return this.dependents ? [].concat(this.dependents) : [];
@@ -448,6 +1238,23 @@ function subscribeToComputed(target, dirtyCallback, changeCallback, subscriber)
     };
 }
 
+/*
+ * Profiling for computed observables; nothing is recorded unless it's enabled
+ */
+var profilingEnabled = false, computedProfiles = {};
+function getComputedProfile(computed) {
+    var id = computed._id || (computed._id = getId());
+    return computedProfiles[id] || (computedProfiles[id] = {
+        computed: computed,
+        name: computed.getName(),
+        evaluations: 0,
+        totalDuration: 0,
+        lastDuration: 0,
+        notifications: 0,
+        skipped: 0
+    });
+}
+
 /*
  * New ko.computed with support for deferred updates (and other fixes)
  */
@@ -476,16 +1283,57 @@ var newComputed = function (evaluatorFunctionOrOptions, evaluatorFunctionTarget,
     if (typeof readFunction != 'function')
         throw Error('Pass a function that returns the value of the ko.computed');
 
+    // An async computed observable's read function returns a promise; its value is the latest resolved value
+    var isAsync = !!options.async, asyncEvaluationId = 0, isPendingObservable, errorObservable;
+    if (isAsync) {
+        isPendingObservable = ko.observable(false);
+        errorObservable = ko.observable();
+    }
+
+    // With catchErrors, an exception thrown by the read function is stored in an observable instead of being thrown
+    var catchErrors = !!options.catchErrors, evaluationErrorObservable = catchErrors && ko.observable();
+
+    // With trackTriggers, the dependencies that caused each evaluation are available from getLastTriggers
+    var trackTriggers = !!options.trackTriggers, pendingTriggers = [], lastTriggers;
+
+    // The name identifies the computed observable in errors and when debugging
+    var name = options.name || readFunction.displayName || readFunction.name || undefined;
+    function nameForError() {
+        return name ? " ('" + name + "')" : "";
+    }
+
     function subscribeToDependency(subscribable) {
+        var dirtyCallback = martAsDirty, changeCallback = markAsChanged;
+        if (trackTriggers) {
+            dirtyCallback = function(value) {
+                addTrigger(subscribable, value, 'dirty');
+                martAsDirty(value);
+            };
+            changeCallback = function(value) {
+                addTrigger(subscribable, value, 'change');
+                markAsChanged(value);
+            };
+        }
         if (subscribable[koProtoName] === newComputed)
-            return subscribeToComputed(subscribable, martAsDirty, markAsChanged, dependentObservable);
+            return subscribeToComputed(subscribable, dirtyCallback, changeCallback, dependentObservable);
         else
-            return subscribable.subscribe(markAsChanged, null, 'change', false, dependentObservable);
+            return subscribable.subscribe(changeCallback, null, 'change', false, dependentObservable);
+    }
+
+    // Remember which dependencies notified since the last evaluation; a later notification replaces an earlier one
+    function addTrigger(dependency, value, event) {
+        for (var i = 0; i < pendingTriggers.length; i++) {
+            if (pendingTriggers[i].dependency === dependency) {
+                pendingTriggers.splice(i, 1);
+                break;
+            }
+        }
+        pendingTriggers.push({ dependency: dependency, value: value, event: event });
     }
 
     function addDependencyTracking(id, target, trackingObj) {
         if (pure && target === dependentObservable) {
-            throw Error("A 'pure' computed must not be called recursively");
+            throw Error("A 'pure' computed" + nameForError() + " must not be called recursively");
         }
 
         dependencyTracking[id] = trackingObj;
@@ -531,12 +1379,16 @@ var newComputed = function (evaluatorFunctionOrOptions, evaluatorFunctionTarget,
             _needsEvaluation = true;
         var throttleEvaluationTimeout = dependentObservable.throttleEvaluation;
         if (throttleEvaluationTimeout && throttleEvaluationTimeout >= 0) {
-            clearTimeout(evaluationTimeoutInstance);
-            evaluationTimeoutInstance = ko.evaluateAsynchronously(evaluateImmediateNotifyChange, throttleEvaluationTimeout);
+            // Scheduling the evaluation again restarts its timer
+            evaluationTimeoutInstance = ko.tasks.processDelayed(evaluateImmediateNotifyChange, {delay: throttleEvaluationTimeout, computed: dependentObservable});
         } else if (dependentObservable._evalRateLimited) {
             dependentObservable._evalRateLimited();
+        } else if (dependentObservable.deferUpdates === 'idle') {
+            // Dependents aren't notified until the idle update is run, so they won't cause an earlier evaluation
+            ko.tasks.processDelayed(evaluateImmediateNotifyChange, {node: disposeWhenNodeIsRemoved, computed: dependentObservable, idle: true});
+            shouldNotify = false;
         } else if ((newComputed.deferUpdates && dependentObservable.deferUpdates !== false) || dependentObservable.deferUpdates) {
-            shouldNotify = ko.tasks.processDelayed(evaluateImmediateNotifyChange, {node: disposeWhenNodeIsRemoved});
+            shouldNotify = !ko.tasks.processDelayed(evaluateImmediateNotifyChange, {node: disposeWhenNodeIsRemoved, computed: dependentObservable})._replaced;
         } else if (_needsEvaluation) {
             evaluateImmediateNotifyChange();
             shouldNotify = false;
@@ -544,8 +1396,8 @@ var newComputed = function (evaluatorFunctionOrOptions, evaluatorFunctionTarget,
 
         if (shouldNotify && dependentObservable.notifySubscribers) {     // notifySubscribers won't exist on first evaluation (but there won't be any subscribers anyway)
             notify(_latestValue, 'dirty');
-            if (!_possiblyNeedsEvaluation && throttleEvaluationTimeout)  // The notification might have triggered an evaluation
-                clearTimeout(evaluationTimeoutInstance);
+            if (!_possiblyNeedsEvaluation && evaluationTimeoutInstance)  // The notification might have triggered an evaluation
+                evaluationTimeoutInstance.cancel();
         }
     }
 
@@ -600,7 +1452,7 @@ var newComputed = function (evaluatorFunctionOrOptions, evaluatorFunctionTarget,
             _possiblyNeedsEvaluation = _needsEvaluation;
             if (!dependentObservable.equalityComparer || !dependentObservable.equalityComparer(_latestValue, _previousValue)) {
                 _previousValue = _latestValue;
-                notify(_latestValue);
+                notifyChangeAndCount();
             }
             return;
         }
@@ -612,6 +1464,11 @@ var newComputed = function (evaluatorFunctionOrOptions, evaluatorFunctionTarget,
 
         _dontEvaluate = true;
 
+        if (trackTriggers) {
+            lastTriggers = { triggers: pendingTriggers, context: ko.tasks.getContextDepth() };
+            pendingTriggers = [];
+        }
+
         try {
             // Initially, we assume that none of the subscriptions are still being used (i.e., all are candidates for disposal).
             // Then, during evaluation, we cross off any that are in fact still being used.
@@ -640,10 +1497,25 @@ var newComputed = function (evaluatorFunctionOrOptions, evaluatorFunctionTarget,
             dependencyTracking = {};
             _dependenciesCount = 0;
 
+            var newValue, caughtError, hasError = false,
+                profile = profilingEnabled && getComputedProfile(dependentObservable), startTime = profile && now();
+            // Each evaluation supersedes any promise from an earlier one, whatever its result
+            if (isAsync)
+                ++asyncEvaluationId;
             try {
-                var newValue = evaluatorFunctionTarget ? readFunction.call(evaluatorFunctionTarget) : readFunction();
-
+                newValue = evaluatorFunctionTarget ? readFunction.call(evaluatorFunctionTarget) : readFunction();
+            } catch (e) {
+                caughtError = e;
+                hasError = true;
+                if (!catchErrors)
+                    throw e;
             } finally {
+                if (profile) {
+                    profile.lastDuration = now() - startTime;
+                    profile.totalDuration += profile.lastDuration;
+                    ++profile.evaluations;
+                }
+
                 depDet.end();
 
                 // For each subscription no longer being used, remove it from the active subscriptions list and dispose it
@@ -656,22 +1528,22 @@ var newComputed = function (evaluatorFunctionOrOptions, evaluatorFunctionTarget,
 
                 // For compatibility with Knockout 2.3.0, mark computed as evaluated even if the evaluator threw an exception
                 _possiblyNeedsEvaluation = _needsEvaluation = false;
-            }
 
-            if (!dependentObservable.equalityComparer || !dependentObservable.equalityComparer(_latestValue, newValue)) {
-                if (!isSleeping) {
-                    notify(_latestValue, 'beforeChange');
-                }
-
-                _latestValue = newValue;
-                dependentObservable._latestValue = _latestValue;
+                if (isAsync && hasError)
+                    setAsyncState(false, caughtError);
+            }
 
-                if (isSleeping) {
-                    if (updateVersionName)
-                        dependentObservable[updateVersionName]();
-                } else if (notifyChange) {
-                    _previousValue = _latestValue;
-                    notify(_latestValue);
+            if (catchErrors)
+                evaluationErrorObservable(caughtError);
+
+            // Keep the last good value if there was an error; the dependencies that were read before the error will trigger a retry
+            if (!hasError) {
+                if (isAsync && newValue && typeof newValue.then == 'function') {
+                    waitForAsyncValue(newValue);
+                } else {
+                    if (isAsync)
+                        setAsyncState(false, undefined);
+                    updateValue(newValue, notifyChange);
                 }
             }
             if (isInitial) {
@@ -686,6 +1558,54 @@ var newComputed = function (evaluatorFunctionOrOptions, evaluatorFunctionTarget,
             dispose();
     }
 
+    function updateValue(newValue, notifyChange) {
+        if (!dependentObservable.equalityComparer || !dependentObservable.equalityComparer(_latestValue, newValue)) {
+            if (!isSleeping) {
+                notify(_latestValue, 'beforeChange');
+            }
+
+            _latestValue = newValue;
+            dependentObservable._latestValue = _latestValue;
+
+            if (isSleeping) {
+                if (updateVersionName)
+                    dependentObservable[updateVersionName]();
+            } else if (notifyChange) {
+                _previousValue = _latestValue;
+                notifyChangeAndCount();
+            }
+        } else if (profilingEnabled) {
+            ++getComputedProfile(dependentObservable).skipped;
+        }
+    }
+
+    function notifyChangeAndCount() {
+        if (profilingEnabled)
+            ++getComputedProfile(dependentObservable).notifications;
+        notify(_latestValue);
+    }
+
+    function setAsyncState(pending, error) {
+        isPendingObservable(pending);
+        errorObservable(error);
+    }
+
+    // Keep the current value until the promise is resolved. Results from earlier evaluations are ignored.
+    function waitForAsyncValue(promise) {
+        var evaluationId = asyncEvaluationId;
+        isPendingObservable(true);
+        promise.then(function(value) {
+            if (evaluationId === asyncEvaluationId && !_isDisposed) {
+                setAsyncState(false, undefined);
+                updateValue(value, true);
+            }
+        }, function(error) {
+            if (evaluationId === asyncEvaluationId && !_isDisposed) {
+                setAsyncState(false, error);
+            }
+        });
+    }
+
     function dependentObservable() {
         if (arguments.length > 0) {
             if (typeof writeFunction === 'function') {
@@ -700,11 +1620,13 @@ var newComputed = function (evaluatorFunctionOrOptions, evaluatorFunctionTarget,
                     dependentObservable.deferUpdates = saveDeferValue;
                 }
             } else {
-                throw Error('Cannot write a value to a ko.computed unless you specify a "write" option. If you wish to read the current value, don\'t pass any parameters.');
+                throw Error('Cannot write a value to a ko.computed' + nameForError() + ' unless you specify a "write" option. If you wish to read the current value, don\'t pass any parameters.');
             }
             return this; // Permits chained assignments
         } else {
             // Reading the value
+            if (newComputed.detectCycles)
+                checkForCycle(dependentObservable);
             depDet[depDetRegisterName](dependentObservable);
             if (_needsEvaluation || _possiblyNeedsEvaluation || (isSleeping && haveDependenciesChanged())) {
                 evaluateImmediate();
@@ -768,6 +1690,22 @@ var newComputed = function (evaluatorFunctionOrOptions, evaluatorFunctionTarget,
     dependentObservable[isActiveName] = dependentObservable.isActive = isActive;
     dependentObservable.activeWhen = activeWhen;
     dependentObservable.getDependencies = getDependencies;
+    dependentObservable.getName = function() { return name; };
+    dependentObservable.getLastTriggers = function() { return lastTriggers; };
+    // Used by ko.dependencyGraph
+    dependentObservable._getState = function() {
+        return {
+            pure: pure,
+            node: disposeWhenNodeIsRemoved,
+            stale: !!(_needsEvaluation || _possiblyNeedsEvaluation || (isSleeping && haveDependenciesChanged()))
+        };
+    };
+    if (catchErrors)
+        dependentObservable.getError = evaluationErrorObservable;
+    if (isAsync) {
+        dependentObservable.isPending = isPendingObservable;
+        dependentObservable.error = errorObservable;
+    }
 
     if (subLimitName) {
         // Replace the limit function with one that delays evaluation as well.
@@ -903,6 +1841,28 @@ newComputed[koProtoName] = oldComputed[koProtoName];
 newComputed.fn = oldComputed.fn;
 newComputed.fn[koProtoName] = newComputed;
 newComputed.deferUpdates = true;
+newComputed.detectCycles = false;
+
+// Start recording how often and how long each computed observable is evaluated; any earlier results are cleared
+newComputed.enableProfiling = function() {
+    profilingEnabled = true;
+    computedProfiles = {};
+};
+
+newComputed.disableProfiling = function() {
+    profilingEnabled = false;
+};
+
+// Returns the recorded results for each computed observable, with the most time spent evaluating first
+newComputed.getProfile = function() {
+    var profile = [];
+    ko_utils_objectForEach(computedProfiles, function(id, computedProfile) {
+        profile.push(computedProfile);
+    });
+    return profile.sort(function(a, b) {
+        return b.totalDuration - a.totalDuration;
+    });
+};
 
 // Make all pointers to ko.computed point to the new one
 ko_utils_arrayForEach(computedNames, function(name) {
@@ -912,9 +1872,28 @@ ko_utils_arrayForEach(computedNames, function(name) {
 // Clear objects references we don't need anymore
 oldComputed = computedProto = null;
 
+/*
+ * Add ko.asyncComputed for computed observables whose read function returns a promise
+ */
+ko.asyncComputed = function (evaluatorFunctionOrOptions, evaluatorFunctionTarget, options) {
+    if (typeof evaluatorFunctionOrOptions === 'function') {
+        return ko.computed(evaluatorFunctionOrOptions, evaluatorFunctionTarget, ko_utils.extend({ async: true }, options));
+    } else {
+        return ko.computed(ko_utils.extend(ko_utils.extend({}, evaluatorFunctionOrOptions), { async: true }));
+    }
+};
+
 /*
  * New throttle extender
  */
+// ko.evaluateAsynchronously returns a task handle, but a replacement might still return a timer ID
+function cancelAsyncEvaluation(handle) {
+    if (handle && handle.cancel)
+        handle.cancel();
+    else
+        clearTimeout(handle);
+}
+
 ko.extenders.throttle = function(target, timeout) {
     // Throttling means two things:
 
@@ -925,7 +1904,7 @@ ko.extenders.throttle = function(target, timeout) {
         return ko.computed({
             read: target,
             write: function(value) {
-                clearTimeout(writeTimeoutInstance);
+                cancelAsyncEvaluation(writeTimeoutInstance);
                 writeTimeoutInstance = ko.evaluateAsynchronously(function() {
                     target(value);
                 }, timeout);
@@ -946,6 +1925,141 @@ ko.extenders.deferred = function(target, value) {
     target.deferUpdates = value;
 };
 
+/*
+ * Add "shallow" and "deep" options to the notify extender, which compare arrays and plain objects by their contents
+ */
+var objectToString = Object.prototype.toString;
+function valuesHaveSameStructure(a, b, compareItems) {
+    if (a === b)
+        return true;
+    if (!a || !b || typeof a != 'object' || typeof b != 'object')
+        return false;
+
+    var type = objectToString.call(a), key, count = 0;
+    if (type !== objectToString.call(b))
+        return false;
+    if (type === '[object Date]')
+        return a.getTime() === b.getTime();
+    if (type === '[object Array]') {
+        if (a.length !== b.length)
+            return false;
+        for (key = 0; key < a.length; key++) {
+            if (!compareItems(a[key], b[key]))
+                return false;
+        }
+        return true;
+    }
+    if (type === '[object Object]') {
+        for (key in a) {
+            if (a.hasOwnProperty(key)) {
+                if (!b.hasOwnProperty(key) || !compareItems(a[key], b[key]))
+                    return false;
+                ++count;
+            }
+        }
+        for (key in b) {
+            if (b.hasOwnProperty(key))
+                --count;
+        }
+        return !count;
+    }
+    return false;
+}
+
+function valuesAreShallowEqual(a, b) {
+    return valuesHaveSameStructure(a, b, function(itemA, itemB) {
+        return itemA === itemB;
+    });
+}
+
+function valuesAreDeepEqual(a, b) {
+    return valuesAreDeepEqualWithin(a, b, []);
+}
+
+// "comparing" has the pairs of values that are being compared further up; a pair that's reached again
+// through a cycle is treated as equal, and the rest of the values decide the result
+function valuesAreDeepEqualWithin(a, b, comparing) {
+    for (var i = 0; i < comparing.length; i++) {
+        if (comparing[i][0] === a && comparing[i][1] === b)
+            return true;
+    }
+    comparing.push([a, b]);
+    var result = valuesHaveSameStructure(a, b, function(itemA, itemB) {
+        return valuesAreDeepEqualWithin(itemA, itemB, comparing);
+    });
+    comparing.pop();
+    return result;
+}
+
+var oldNotifyExtender = ko.extenders.notify;
+ko.extenders.notify = function(target, notifyWhen) {
+    if (notifyWhen == 'shallow')
+        target.equalityComparer = valuesAreShallowEqual;
+    else if (notifyWhen == 'deep')
+        target.equalityComparer = valuesAreDeepEqual;
+    else
+        oldNotifyExtender(target, notifyWhen);
+};
+
+/*
+ * Add ko.dependencyGraph, which describes the observables connected to the given ones through their dependencies
+ */
+ko.dependencyGraph = function(rootOrRoots) {
+    var roots = objectToString.call(rootOrRoots) === '[object Array]' ? rootOrRoots : [rootOrRoots],
+        nodes = [], edges = [], nodesById = {}, toVisit = [];
+
+    function addNode(subscribable) {
+        var id = subscribable._id || (subscribable._id = getId());
+        if (!nodesById[id]) {
+            var state = subscribable._getState && subscribable._getState();
+            nodes.push(nodesById[id] = {
+                id: id,
+                kind: !state ? 'observable' : state.node ? 'binding' : state.pure ? 'pure' : 'computed',
+                name: subscribable.getName && subscribable.getName(),
+                stale: state ? state.stale : false
+            });
+            toVisit.push(subscribable);
+        }
+        return id;
+    }
+
+    // Walk the graph without recursion so that long chains of computed observables don't overflow the stack
+    ko_utils_arrayForEach(roots, addNode);
+    for (var i = 0; i < toVisit.length; i++) {
+        var subscribable = toVisit[i], id = subscribable._id;
+        if (subscribable.getDependencies) {
+            ko_utils_arrayForEach(subscribable.getDependencies(), function(dependency) {
+                edges.push({ from: addNode(dependency), to: id });
+            });
+        }
+        ko_utils_arrayForEach(subscribable.getDependents(), addNode);
+    }
+
+    return {
+        nodes: nodes,
+        edges: edges,
+        // Called by JSON.stringify
+        toJSON: function() {
+            return { nodes: nodes, edges: edges };
+        },
+        // Returns the graph in the Graphviz DOT language
+        toDot: function() {
+            var lines = ['digraph dependencies {'];
+            ko_utils_arrayForEach(nodes, function(node) {
+                var label = (node.name || node.kind) + ' #' + node.id;
+                lines.push('    n' + node.id + ' [label="' + label.replace(/(["\\])/g, '\\$1') + '", shape=' +
+                    (node.kind == 'observable' ? 'ellipse' : node.kind == 'binding' ? 'note' : 'box') +
+                    (node.kind == 'pure' ? ', style=rounded' : '') + (node.stale ? ', color=red' : '') + '];');
+            });
+            ko_utils_arrayForEach(edges, function(edge) {
+                lines.push('    n' + edge.from + ' -> n' + edge.to + ';');
+            });
+            lines.push('}');
+            return lines.join('\n');
+        }
+    };
+};
+
 return ko;
 
 }));
@@ -28,6 +28,28 @@ describe("Throttled observables", function() {
         expect(notifiedValues.length).toEqual(1);
         expect(notifiedValues[0]).toEqual("F");
     });
+
+    it("Should cancel a timer ID returned by a replacement evaluateAsynchronously", function() {
+        var originalEvaluateAsynchronously = ko.evaluateAsynchronously;
+        ko.evaluateAsynchronously = function(evaluator, timeout) {
+            return setTimeout(evaluator, timeout);
+        };
+        try {
+            var observable = ko.observable('A').extend({ throttle: 100 });
+            var notifiedValues = [];
+            observable.subscribe(function(value) {
+                notifiedValues.push(value);
+            });
+
+            observable('B');
+            jasmine.Clock.tick(10);
+            observable('C');
+            jasmine.Clock.tick(100);
+            expect(notifiedValues).toEqual(['C']);
+        } finally {
+            ko.evaluateAsynchronously = originalEvaluateAsynchronously;
+        }
+    });
 });
 
 describe("Throttled dependent observables", function() {
@@ -117,6 +139,38 @@ describe("Throttled dependent observables", function() {
         expect(evaluationCount).toEqual(2); // Finally, it's evaluated
         expect(asyncDepObs()).toEqual("D");
     });
+
+    it("Should be evaluated by processAllDeferredUpdates with includeTimers", function() {
+        var someDependency = ko.observable('A'), notifiedValues = [];
+        var asyncDepObs = ko.dependentObservable(function() {
+            return someDependency();
+        }).extend({ throttle: 100 });
+        asyncDepObs.subscribe(function(value) {
+            notifiedValues.push(value);
+        });
+
+        someDependency('B');
+        ko.processAllDeferredUpdates();
+        expect(notifiedValues).toEqual([]);
+
+        ko.processAllDeferredUpdates({ includeTimers: true });
+        expect(notifiedValues).toEqual(['B']);
+    });
+
+    it("Should not be throttled if throttleEvaluation is negative", function() {
+        var someDependency = ko.observable('A'), notifiedValues = [];
+        var asyncDepObs = ko.dependentObservable(function() {
+            return someDependency();
+        });
+        asyncDepObs.throttleEvaluation = -1;
+        asyncDepObs.subscribe(function(value) {
+            notifiedValues.push(value);
+        });
+
+        someDependency('B');
+        ko.processAllDeferredUpdates();
+        expect(notifiedValues).toEqual(['B']);
+    });
 });
 
 describe('Rate-limited', function() {
@@ -735,4 +789,143 @@ describe("Asynchronous bindings", function() {
         expect(initPassedValues[1]).toEqual("C");
         expect(updatePassedValues[1]).toEqual("C");
     });
-});
\ No newline at end of file
+});
+describe('Async computed observables', function() {
+    var resolvers;
+    function makePromise() {
+        return new Promise(function(resolve, reject) {
+            resolvers.push({ resolve: resolve, reject: reject });
+        });
+    }
+    beforeEach(function() {
+        resolvers = [];
+    });
+
+    it('Should have the resolved value of the promise returned by the read function', function() {
+        var query = ko.observable('a'), notifiedValues = [],
+            computed = ko.asyncComputed(function() {
+                query();
+                return makePromise();
+            });
+        computed.subscribe(function(value) { notifiedValues.push(value); });
+
+        expect(computed()).toBeUndefined();
+        expect(computed.isPending()).toEqual(true);
+        resolvers[0].resolve('A');
+
+        waitsFor(function() { return !computed.isPending(); }, 100);
+        runs(function() {
+            expect(computed()).toEqual('A');
+            ko.processAllDeferredUpdates();
+            expect(notifiedValues).toEqual(['A']);
+        });
+    });
+
+    it('Should ignore results from earlier evaluations', function() {
+        var query = ko.observable('a'),
+            computed = ko.computed({ read: function() { return query() && makePromise(); }, async: true });
+
+        query('b');
+        expect(computed()).toBeUndefined();
+        expect(resolvers.length).toEqual(2);
+        resolvers[1].resolve('B');
+        resolvers[0].resolve('A');
+
+        waitsFor(function() { return !computed.isPending(); }, 100);
+        waits(10);
+        runs(function() {
+            expect(computed()).toEqual('B');
+        });
+    });
+
+    it('Should ignore results from earlier evaluations if a later one returns a value that is not a promise', function() {
+        var query = ko.observable('a'),
+            computed = ko.asyncComputed(function() { return query() === 'a' ? makePromise() : 'sync'; });
+
+        query('b');
+        expect(computed()).toEqual('sync');
+        expect(computed.isPending()).toEqual(false);
+        resolvers[0].resolve('stale');
+
+        waits(10);
+        runs(function() {
+            expect(computed()).toEqual('sync');
+        });
+    });
+
+    it('Should ignore results from earlier evaluations if a later one throws', function() {
+        var query = ko.observable('a'),
+            computed = ko.computed({
+                read: function() {
+                    if (query() !== 'a')
+                        throw Error('failed');
+                    return makePromise();
+                },
+                async: true,
+                catchErrors: true
+            });
+
+        query('b');
+        computed();
+        expect(computed.isPending()).toEqual(false);
+        expect(computed.error().message).toEqual('failed');
+        resolvers[0].resolve('stale');
+
+        waits(10);
+        runs(function() {
+            expect(computed()).toBeUndefined();
+            expect(computed.isPending()).toEqual(false);
+        });
+    });
+
+    it('Should not be pending after the read function throws an uncaught exception', function() {
+        var query = ko.observable('a'),
+            computed = ko.asyncComputed(function() {
+                if (query() !== 'a')
+                    throw Error('failed');
+                return makePromise();
+            });
+
+        query('b');
+        expect(function() { computed(); }).toThrowContaining('failed');
+        expect(computed.isPending()).toEqual(false);
+        resolvers[0].resolve('stale');
+
+        waits(10);
+        runs(function() {
+            expect(computed.isPending()).toEqual(false);
+        });
+    });
+
+    it('Should keep the last value and set the error if the promise is rejected', function() {
+        var query = ko.observable('a'),
+            computed = ko.asyncComputed(function() { return query() && makePromise(); });
+        resolvers[0].resolve('A');
+
+        waitsFor(function() { return computed() === 'A'; }, 100);
+        runs(function() {
+            query('b');
+            computed();
+            resolvers[1].reject('failed');
+        });
+        waitsFor(function() { return !computed.isPending(); }, 100);
+        runs(function() {
+            expect(computed()).toEqual('A');
+            expect(computed.error()).toEqual('failed');
+
+            query('c');
+            computed();
+            resolvers[2].resolve('C');
+        });
+        waitsFor(function() { return computed() === 'C'; }, 100);
+        runs(function() {
+            expect(computed.error()).toBeUndefined();
+        });
+    });
+
+    it('Should use values that are not promises right away', function() {
+        var computed = ko.asyncComputed(function() { return 'A'; });
+        expect(computed()).toEqual('A');
+        expect(computed.isPending()).toEqual(false);
+    });
+});
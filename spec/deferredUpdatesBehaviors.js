@@ -15,6 +15,54 @@ describe('Deferred Updates', function() {
             expect(notifiedValues.length).toEqual(1);
             expect(notifiedValues[0]).toEqual('B');
         });
+
+        it('Should notify batched subscribers about all values and old values', function () {
+            var instance = new ko.observable('A');
+            var notifiedValues = [];
+            var subscription = instance.subscribe(function (values, oldValues) {
+                notifiedValues.push([values, oldValues]);
+            });
+            subscription.batch = true;
+
+            instance('B');
+            instance('C');
+            ko.processAllDeferredUpdates();
+            expect(notifiedValues).toEqual([[['B', 'C'], ['A', 'B']]]);
+
+            instance('D');
+            ko.processAllDeferredUpdates();
+            expect(notifiedValues[1]).toEqual([['D'], ['C']]);
+        });
+
+        it('Should notify batched subscribers once if values are also set within processImmediate', function () {
+            var instance = new ko.observable(0);
+            var notifiedValues = [];
+            var subscription = instance.subscribe(function (values, oldValues) {
+                notifiedValues.push([values, oldValues]);
+            });
+            subscription.batch = true;
+
+            instance(1);
+            ko.tasks.processImmediate(function() {
+                instance(2);
+            });
+            ko.processAllDeferredUpdates();
+            expect(notifiedValues).toEqual([[[1, 2], [0, 1]]]);
+        });
+
+        it('Should notify batched subscribers right away if not deferred', function () {
+            var instance = new ko.observable('A');
+            var notifiedValues = [];
+            var subscription = instance.subscribe(function (values, oldValues) {
+                notifiedValues.push([values, oldValues]);
+            });
+            subscription.batch = true;
+            subscription.deferUpdates = false;
+
+            instance('B');
+            instance('C');
+            expect(notifiedValues).toEqual([[['B'], ['A']], [['C'], ['B']]]);
+        });
     });
 
     describe('Computed Observable', function() {
@@ -145,6 +193,47 @@ describe('Deferred Updates', function() {
         });
     });
 
+    describe('Idle Computed Observable', function() {
+        beforeEach(function() {
+            this.restoreAfter(ko.tasks, 'idleScheduler');
+            ko.tasks.idleScheduler = ko.tasks.schedulers.manual;
+        });
+
+        it('Should update and notify when the browser is idle', function() {
+            var timesEvaluated = 0,
+                data = ko.observable('A'),
+                computed = ko.computed(function () { ++timesEvaluated; return data(); }).extend({deferred:'idle'}),
+                dependent = ko.computed(function () { return computed() + '!'; }),
+                notifiedValue;
+            computed.subscribe(function (value) { notifiedValue = value; });
+
+            data('B');
+            ko.processAllDeferredUpdates();
+            expect(timesEvaluated).toEqual(1);
+            expect(notifiedValue).toEqual(undefined);
+            expect(dependent()).toEqual('A!');
+
+            ko.tasks.runIdle();
+            expect(timesEvaluated).toEqual(2);
+            expect(notifiedValue).toEqual('B');
+            expect(dependent()).toEqual('B!');
+        });
+
+        it('Should be evaluated immediately when read', function() {
+            var data = ko.observable('A'),
+                computed = ko.computed(function () { return data(); }).extend({deferred:'idle'}),
+                notifiedValue;
+            computed.subscribe(function (value) { notifiedValue = value; });
+
+            data('B');
+            expect(computed()).toEqual('B');
+            expect(notifiedValue).toEqual(undefined);
+
+            ko.tasks.runIdle();
+            expect(notifiedValue).toEqual('B');
+        });
+    });
+
     describe('Observable Array change tracking', function() {
         it('Should provide correct changelist when multiple updates are merged into one notification', function() {
             var myArray = ko.observableArray(['Alpha', 'Beta']),
@@ -179,6 +268,172 @@ describe('Deferred Updates', function() {
         });
     });
 
+    describe('Binding updates for a node', function() {
+        beforeEach(jasmine.prepareTestNode);
+
+        it('Should update only the bindings within the given node', function() {
+            testNode.innerHTML = "<div><span data-bind='text: a'></span></div><span data-bind='text: b'></span>";
+            var a = ko.observable('a1'), b = ko.observable('b1');
+            ko.applyBindings({ a: a, b: b }, testNode);
+            expect(testNode).toContainText('a1b1');
+
+            a('a2');
+            b('b2');
+            ko.processDeferredBindingUpdatesForNode(testNode.childNodes[0]);
+            expect(testNode).toContainText('a2b1');
+
+            ko.processAllDeferredUpdates();
+            expect(testNode).toContainText('a2b2');
+        });
+
+        it('Should update the computed observables that the bindings depend on', function() {
+            testNode.innerHTML = "<div><span data-bind='text: full'></span></div><span data-bind='text: other'></span>";
+            var first = ko.observable('a'), last = ko.observable('b'),
+                middle = ko.computed(function() { return first() + '-'; }).extend({ deferred: true }),
+                full = ko.computed(function() { return middle() + last(); }).extend({ deferred: true }),
+                other = ko.computed(function() { return first() + '!'; }).extend({ deferred: true });
+            ko.applyBindings({ full: full, other: other }, testNode);
+            expect(testNode).toContainText('a-ba!');
+
+            first('x');
+            ko.processDeferredBindingUpdatesForNode(testNode.childNodes[0]);
+            expect(testNode).toContainText('x-ba!');
+            expect(ko.tasks.getPending().length).toBeGreaterThan(0);
+
+            ko.processAllDeferredUpdates();
+            expect(testNode).toContainText('x-bx!');
+        });
+
+        it('Should update all bindings if no node is given', function() {
+            testNode.innerHTML = "<span data-bind='text: a'></span><span data-bind='text: b'></span>";
+            var a = ko.observable('a1'), b = ko.observable('b1');
+            ko.applyBindings({ a: a, b: b }, testNode);
+
+            a('a2');
+            b('b2');
+            ko.processDeferredBindingUpdatesForNode();
+            expect(testNode).toContainText('a2b2');
+        });
+    });
+
+    describe('Dependency graph', function() {
+        beforeEach(jasmine.prepareTestNode);
+
+        it('Should include the observables connected to the given one and their dependencies', function() {
+            var first = ko.observable('a'), last = ko.observable('b'),
+                full = ko.computed(function fullName() { return first() + last(); }),
+                initial = ko.pureComputed(function() { return first().charAt(0); }),
+                unrelated = ko.observable();
+            initial.subscribe(function() {});
+
+            var graph = ko.dependencyGraph(first);
+            expect(graph.nodes.length).toEqual(4);
+            expect(ko.utils.arrayMap(graph.nodes, function(node) { return node.kind; })).toEqual(['observable', 'computed', 'pure', 'observable']);
+            expect(graph.nodes[1]).toEqual({ id: full._id, kind: 'computed', name: 'fullName', stale: false });
+            expect(graph.edges).toEqual([
+                { from: first._id, to: full._id },
+                { from: last._id, to: full._id },
+                { from: first._id, to: initial._id }
+            ]);
+        });
+
+        it('Should include bindings and whether computed observables are stale', function() {
+            testNode.innerHTML = "<span data-bind='text: full'></span>";
+            var first = ko.observable('a'),
+                full = ko.computed(function() { return first() + '!'; });
+            ko.applyBindings({ full: full }, testNode);
+
+            first('b');
+            var graph = ko.dependencyGraph([full]);
+            expect(ko.utils.arrayMap(graph.nodes, function(node) { return node.kind + (node.stale ? '*' : ''); })).toEqual(['computed*', 'observable', 'binding*']);
+            ko.processAllDeferredUpdates();
+        });
+
+        it('Should export to JSON and DOT', function() {
+            var observable = ko.observable(),
+                computed = ko.computed({ read: function() { return observable(); }, name: 'say "hi"' }),
+                graph = ko.dependencyGraph(computed);
+
+            expect(JSON.parse(JSON.stringify(graph))).toEqual({ nodes: graph.nodes, edges: graph.edges });
+            expect(graph.toDot()).toEqual([
+                'digraph dependencies {',
+                '    n' + computed._id + ' [label="say \\"hi\\" #' + computed._id + '", shape=box];',
+                '    n' + observable._id + ' [label="observable #' + observable._id + '", shape=ellipse];',
+                '    n' + observable._id + ' -> n' + computed._id + ';',
+                '}'
+            ].join('\n'));
+        });
+    });
+
+    describe('Transactions', function() {
+        it('Should notify once for each observable after the transaction', function() {
+            var a = ko.observable(1), b = ko.observable(1), notifiedValues = [],
+                sum = ko.computed(function() { return a() + b(); }).extend({ deferred: false });
+            a.subscribe(function(value) { notifiedValues.push(value); }).deferUpdates = false;
+            sum.subscribe(function(value) { notifiedValues.push('sum ' + value); }).deferUpdates = false;
+
+            var result = ko.transaction(function() {
+                a(2);
+                a(3);
+                b(-3);
+                expect(notifiedValues).toEqual([]);
+                return 'done';
+            });
+            expect(result).toEqual('done');
+            expect(notifiedValues).toEqual([3, 'sum 0']);
+        });
+
+        it('Should restore the previous values without notifying if the function throws', function() {
+            var a = ko.observable(1), list = ko.observableArray(['x']), notifiedValues = [];
+            a.subscribe(function(value) { notifiedValues.push(value); });
+            list.subscribe(function(value) { notifiedValues.push(value); });
+            var computed = ko.computed(function() { return a() + list().length; });
+
+            expect(function() {
+                ko.transaction(function() {
+                    a(2);
+                    list.push('y');
+                    throw Error('failed');
+                });
+            }).toThrowContaining('failed');
+            ko.processAllDeferredUpdates();
+
+            expect(a()).toEqual(1);
+            expect(list()).toEqual(['x']);
+            expect(computed()).toEqual(2);
+            expect(notifiedValues).toEqual([]);
+        });
+
+        it('Should only restore the values written by a nested transaction that throws', function() {
+            var a = ko.observable(1), b = ko.observable(1), notifiedValues = [];
+            b.subscribe(function(value) { notifiedValues.push(value); }).deferUpdates = false;
+
+            ko.transaction(function() {
+                a(2);
+                try {
+                    ko.transaction(function() {
+                        b(2);
+                        throw Error('failed');
+                    });
+                } catch (e) { }
+                b(3);
+            });
+            expect(a()).toEqual(2);
+            expect(b()).toEqual(3);
+            expect(notifiedValues).toEqual([3]);
+        });
+
+        it('Should not notify if an observable is changed back to its previous value', function() {
+            var a = ko.observable(1), notifiedValues = [];
+            a.subscribe(function(value) { notifiedValues.push(value); }).deferUpdates = false;
+            ko.transaction(function() {
+                a(2);
+                a(1);
+            });
+            expect(notifiedValues).toEqual([]);
+        });
+    });
+
     describe('Recursive updates', function() {
         beforeEach(jasmine.prepareTestNode);
 
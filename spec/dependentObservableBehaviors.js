@@ -25,6 +25,59 @@ describe('Dependent Observable', function() {
         expect(function () { ko.computed(); }).toThrow();
     });
 
+    it('Should use the name option or the name of the evaluator function as its name', function () {
+        expect(ko.computed(function total() { }).getName()).toEqual('total');
+        expect(ko.computed({ read: function total() { }, name: 'grandTotal' }).getName()).toEqual('grandTotal');
+        expect(ko.computed(function () { }, null, { name: 'subtotal' }).getName()).toEqual('subtotal');
+    });
+
+    it('Should include its name in errors', function () {
+        var instance = ko.computed({ read: function () { return 123; }, name: 'total' });
+        expect(function () { instance(456); }).toThrowContaining("ko.computed ('total')");
+    });
+
+    it('Should include its name in task information', function () {
+        var observable = ko.observable(1),
+            instance = ko.computed({ read: function () { return observable(); }, name: 'total' });
+        observable(2);
+        expect(ko.tasks.getPending()[0].name).toEqual('total');
+        ko.processAllDeferredUpdates();
+    });
+
+    it('Should keep its last value and store the error if catchErrors is set and the evaluator throws', function () {
+        var observable = ko.observable(1),
+            instance = ko.computed({
+                read: function () {
+                    var value = observable();
+                    if (value < 0)
+                        throw Error('negative');
+                    return value;
+                },
+                catchErrors: true
+            });
+        expect(instance.getError()).toBeUndefined();
+
+        observable(-1);
+        expect(instance()).toEqual(1);
+        expect(instance.getError().message).toEqual('negative');
+
+        observable(2);
+        expect(instance()).toEqual(2);
+        expect(instance.getError()).toBeUndefined();
+    });
+
+    it('Should not stop other updates if catchErrors is set and the evaluator throws', function () {
+        var observable = ko.observable(1), notifiedValues = [],
+            failing = ko.computed({ read: function () { if (observable() > 1) throw Error('failed'); }, catchErrors: true }),
+            other = ko.computed(function () { return observable(); });
+        other.subscribe(function (value) { notifiedValues.push(value); });
+
+        observable(2);
+        ko.processAllDeferredUpdates();
+        expect(notifiedValues).toEqual([2]);
+        expect(failing.getError().message).toEqual('failed');
+    });
+
     it('Should be able to read the current value of the evaluator function', function () {
         var instance = ko.computed(function () { return 123; });
         expect(instance()).toEqual(123);
@@ -512,6 +565,207 @@ describe('Dependent Observable', function() {
         expect(notifiedValues).toEqual([1]);
     });
 
+    it('Should not notify about arrays or objects with the same contents when using notify: "shallow"', function () {
+        var observable = ko.observable(1), other = ko.observable({ a: 1 }), notifiedValues = [];
+        var computed = ko.computed(function () { return [observable() > 0, other()]; }).extend({ notify: 'shallow' });
+        computed.subscribe(function (value) { notifiedValues.push(value); });
+
+        observable(2);
+        ko.processAllDeferredUpdates();
+        expect(notifiedValues).toEqual([]);
+
+        other({ a: 1 });     // a different object, so the array items are different
+        ko.processAllDeferredUpdates();
+        expect(notifiedValues.length).toEqual(1);
+
+        observable(-1);
+        ko.processAllDeferredUpdates();
+        expect(notifiedValues.length).toEqual(2);
+        expect(notifiedValues[1][0]).toEqual(false);
+    });
+
+    it('Should not notify about nested arrays or objects with the same contents when using notify: "deep"', function () {
+        var observable = ko.observable(1), notifiedValues = [];
+        var computed = ko.computed(function () {
+            return { positive: observable() > 0, items: [{ value: observable() > 0 }], date: new Date(0) };
+        }).extend({ notify: 'deep' });
+        computed.subscribe(function (value) { notifiedValues.push(value); });
+
+        observable(2);
+        ko.processAllDeferredUpdates();
+        expect(notifiedValues).toEqual([]);
+
+        observable(-1);
+        ko.processAllDeferredUpdates();
+        expect(notifiedValues.length).toEqual(1);
+        expect(notifiedValues[0].items[0].value).toEqual(false);
+    });
+
+    it('Should compare values with cycles when using notify: "deep"', function () {
+        var observable = ko.observable(1), notifiedValues = [];
+        var computed = ko.computed(function () {
+            var root = { value: observable() > 0, children: [] };
+            root.children.push({ value: 'child', parent: root });
+            return root;
+        }).extend({ notify: 'deep' });
+        computed.subscribe(function (value) { notifiedValues.push(value); });
+
+        observable(2);
+        ko.processAllDeferredUpdates();
+        expect(notifiedValues).toEqual([]);
+
+        observable(-1);
+        ko.processAllDeferredUpdates();
+        expect(notifiedValues.length).toEqual(1);
+        expect(notifiedValues[0].children[0].parent.value).toEqual(false);
+    });
+
+    describe('Trigger tracking', function() {
+        it('Should return the dependencies that changed before the last evaluation', function() {
+            var first = ko.observable('a'), last = ko.observable('b'), middle = ko.observable('-'),
+                computed = ko.computed({ read: function() { return first() + middle() + last(); }, trackTriggers: true });
+            expect(computed.getLastTriggers()).toEqual({ triggers: [], context: 0 });
+
+            first('A');
+            last('x');
+            last('B');
+            ko.processAllDeferredUpdates();
+            expect(computed()).toEqual('A-B');
+            expect(computed.getLastTriggers()).toEqual({
+                triggers: [
+                    { dependency: first, value: 'A', event: 'change' },
+                    { dependency: last, value: 'B', event: 'change' }
+                ],
+                context: 0
+            });
+        });
+
+        it('Should include computed dependencies and the task context', function() {
+            var observable = ko.observable(1),
+                dependency = ko.computed(function() { return observable() * 2; }),
+                computed = ko.computed({ read: function() { return dependency(); }, trackTriggers: true });
+
+            ko.tasks.processImmediate(function() {
+                observable(2);
+            });
+            expect(computed()).toEqual(4);
+            var lastTriggers = computed.getLastTriggers();
+            expect(lastTriggers.triggers.length).toEqual(1);
+            expect(lastTriggers.triggers[0].dependency).toBe(dependency);
+            expect(lastTriggers.context).toEqual(1);
+        });
+
+        it('Should not track triggers unless enabled', function() {
+            var observable = ko.observable(1),
+                computed = ko.computed(function() { return observable(); });
+            observable(2);
+            expect(computed()).toEqual(2);
+            expect(computed.getLastTriggers()).toBeUndefined();
+        });
+    });
+
+    describe('Profiling', function() {
+        afterEach(function() {
+            ko.computed.disableProfiling();
+        });
+
+        it('Should record evaluations, notifications, and skipped notifications', function() {
+            ko.computed.enableProfiling();
+            var observable = ko.observable(1),
+                computed = ko.computed(function isPositive() { return observable() > 0; });
+            computed.subscribe(function() {});
+
+            observable(2);
+            ko.processAllDeferredUpdates();
+            observable(-1);
+            ko.processAllDeferredUpdates();
+            // Reading the computed observable before its update is run only counts that evaluation
+            observable(-2);
+            computed();
+            ko.processAllDeferredUpdates();
+
+            var profile = ko.computed.getProfile();
+            expect(profile.length).toEqual(1);
+            expect(profile[0].computed).toBe(computed);
+            expect(profile[0].name).toEqual('isPositive');
+            expect(profile[0].evaluations).toEqual(4);
+            expect(profile[0].notifications).toEqual(1);
+            expect(profile[0].skipped).toEqual(2);
+            expect(profile[0].totalDuration >= profile[0].lastDuration).toEqual(true);
+        });
+
+        it('Should sort the results by the total time spent evaluating', function() {
+            ko.computed.enableProfiling();
+            var fast = ko.computed(function fast() { }),
+                slow = ko.computed(function slow() {
+                    var end = new Date().getTime() + 5;
+                    while (new Date().getTime() <= end) { }
+                });
+
+            expect(ko.utils.arrayMap(ko.computed.getProfile(), function(item) { return item.name; })).toEqual(['slow', 'fast']);
+        });
+
+        it('Should not record anything unless enabled', function() {
+            ko.computed.enableProfiling();
+            ko.computed.disableProfiling();
+            ko.computed(function() { });
+            expect(ko.computed.getProfile()).toEqual([]);
+        });
+    });
+
+    describe('Cycle detection', function() {
+        beforeEach(function() {
+            this.restoreAfter(ko.computed, 'detectCycles');
+        });
+
+        it('Should throw an error with the path when a computed is read during its own evaluation', function() {
+            var enabled = ko.observable(false), c,
+                a = ko.computed(function A() { return enabled() ? c() : 0; }),
+                b = ko.computed(function B() { return a() + enabled(); }),
+                error;
+            c = ko.computed(function C() { return b() + enabled(); });
+            ko.computed.detectCycles = true;
+
+            enabled(true);
+            try {
+                a();
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).toEqual('Dependency cycle detected: A \u2192 C \u2192 B \u2192 A');
+            expect(error.path).toEqual([a, c, b, a]);
+            a.dispose();
+            b.dispose();
+            c.dispose();
+        });
+
+        it('Should detect cycles in pure computed observables', function() {
+            var enabled = ko.observable(false), b,
+                a = ko.pureComputed(function A() { return enabled() && b(); });
+            b = ko.pureComputed(function B() { return enabled() + a(); });
+            ko.computed.detectCycles = true;
+
+            expect(b()).toEqual(0);
+            enabled(true);
+            expect(a).toThrowContaining('A \u2192 B \u2192 A');
+        });
+
+        it('Should log the cycle instead if set to "log"', function() {
+            var enabled = ko.observable(false), b, messages = [],
+                a = ko.computed(function A() { return enabled() ? b() : 0; });
+            b = ko.computed(function B() { return a() + enabled(); });
+            this.restoreAfter(console, 'error');
+            console.error = function(message) { messages.push(message); };
+            ko.computed.detectCycles = 'log';
+
+            enabled(true);
+            a();
+            expect(messages).toEqual(['Dependency cycle detected: A \u2192 B \u2192 A']);
+            a.dispose();
+            b.dispose();
+        });
+    });
+
     // Borrowed from haberman/knockout (see knockout/knockout#359)
     it('Should allow long chains without overflowing the stack', function() {
         var depth = 5000;
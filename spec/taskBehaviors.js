@@ -208,4 +208,1069 @@ describe('Delayed tasks', function() {
         expect(runValues).toEqual(['i','o']);
     });
 
-});
\ No newline at end of file
+    it('Should move a task waiting in the queue being processed into a new context', function() {
+        var runValues = [];
+        var func = function(value) {
+            runValues.push(value);
+        };
+        ko.tasks.processDelayed(function() {
+            ko.tasks.processImmediate(function() {
+                ko.tasks.processDelayed(func, true, {args:['i']});
+            });
+            runValues.push('x');
+        });
+        ko.tasks.processDelayed(func, true, {args:['o']});
+
+        ko.processAllDeferredUpdates();
+        expect(runValues).toEqual(['i','x']);
+    });
+
+    it('Should only run each task once when scheduling many tasks more than once', function() {
+        var runCount = 0, funcs = [], i;
+        for (i = 0; i < 5000; i++) {
+            funcs.push(function() {
+                runCount++;
+            });
+        }
+        for (i = 0; i < 5000; i++)
+            ko.tasks.processDelayed(funcs[i]);
+        for (i = 0; i < 5000; i++)
+            ko.tasks.processDelayed(funcs[i]);
+
+        expect(ko.tasks.getPending().length).toEqual(5000);
+        ko.processAllDeferredUpdates();
+        expect(runCount).toEqual(5000);
+    });
+
+    it('Should run tasks with a higher priority first', function() {
+        var runValues = [];
+        var func = function(value) {
+            runValues.push(value);
+        };
+        ko.tasks.processImmediate(function() {
+            ko.tasks.processDelayed(func, false, {args:['n1']});
+            ko.tasks.processDelayed(func, false, {args:['h1'], priority:5});
+            ko.tasks.processDelayed(func, false, {args:['l1'], priority:-1});
+            ko.tasks.processDelayed(func, false, {args:['n2']});
+            ko.tasks.processDelayed(func, false, {args:['h2'], priority:5});
+        });
+        expect(runValues).toEqual(['h1','h2','n1','n2','l1']);
+    });
+
+    it('Should run tasks associated with a node before other tasks by default', function() {
+        var runValues = [];
+        var func = function(value) {
+            runValues.push(value);
+        };
+        ko.tasks.processImmediate(function() {
+            ko.tasks.processDelayed(func, false, {args:['task']});
+            ko.tasks.processDelayed(func, false, {args:['binding'], node:document.body});
+            ko.tasks.processDelayed(func, false, {args:['low binding'], node:document.body, priority:ko.tasks.priority.normal});
+        });
+        expect(runValues).toEqual(['binding','task','low binding']);
+    });
+
+    it('Should run tasks scheduled during task processing after the current tasks, regardless of priority', function() {
+        var runValues = [];
+        var func = function(value) {
+            runValues.push(value);
+        };
+        ko.tasks.processImmediate(function() {
+            ko.tasks.processDelayed(function() {
+                runValues.push('n1');
+                ko.tasks.processDelayed(func, false, {args:['h2'], priority:5});
+                ko.tasks.processDelayed(func, false, {args:['n2']});
+            });
+            ko.tasks.processDelayed(func, false, {args:['l1'], priority:-1});
+        });
+        expect(runValues).toEqual(['n1','l1','h2','n2']);
+    });
+
+    it('Should only run once if scheduled more than once with different priorities', function() {
+        var runValues = [];
+        var func = function(value) {
+            runValues.push(value);
+        };
+        ko.tasks.processImmediate(function() {
+            ko.tasks.processDelayed(func, true, {args:['h'], priority:5});
+            ko.tasks.processDelayed(function() { runValues.push('n'); });
+            ko.tasks.processDelayed(func, true, {args:['l'], priority:-1});
+        });
+        expect(runValues).toEqual(['n','l']);
+    });
+
+    it('Should keep tasks in priority order after replacing the last task with a priority', function() {
+        var runValues = [];
+        var func = function(value) {
+            runValues.push(value);
+        };
+        var replaced = function(value) {
+            runValues.push(value);
+        };
+        ko.tasks.processImmediate(function() {
+            ko.tasks.processDelayed(func, false, {args:['h1'], priority:5});
+            ko.tasks.processDelayed(replaced, true, {args:['n1']});
+            ko.tasks.processDelayed(func, false, {args:['l1'], priority:-1});
+            // The normal-priority tasks are now only the replacement, which has a higher priority
+            ko.tasks.processDelayed(replaced, true, {args:['h2'], priority:5});
+            ko.tasks.processDelayed(func, false, {args:['n2']});
+            ko.tasks.processDelayed(func, false, {args:['h3'], priority:5});
+            ko.tasks.processDelayed(func, false, {args:['n3']});
+        });
+        expect(runValues).toEqual(['h1','h2','h3','n2','n3','l1']);
+    });
+
+    it('Should stop recursive tasks in any priority', function() {
+        var func = function() {
+            ko.tasks.processDelayed(func, {priority:5});
+        };
+        expect(function() {
+            ko.tasks.processImmediate(function() {
+                ko.tasks.processDelayed(func, {priority:5});
+            });
+        }).toThrowContaining('Too much recursion');
+    });
+
+});
+describe('Task scheduler', function() {
+    beforeEach(function() {
+        this.restoreAfter(ko.tasks, 'scheduler');
+    });
+
+    it('Should use the scheduler set in ko.tasks.scheduler', function() {
+        var scheduledCallbacks = [], canceledHandles = [];
+        ko.tasks.scheduler = {
+            schedule: function(callback) {
+                return scheduledCallbacks.push(callback);
+            },
+            cancel: function(handle) {
+                canceledHandles.push(handle);
+            }
+        };
+
+        var runCount = 0;
+        ko.tasks.processDelayed(function() {
+            runCount++;
+        });
+        expect(scheduledCallbacks.length).toEqual(1);
+        expect(runCount).toEqual(0);
+
+        scheduledCallbacks[0]();
+        expect(runCount).toEqual(1);
+        expect(canceledHandles).toEqual([1]);
+    });
+
+    it('Should cancel a scheduled run with the scheduler that scheduled it', function() {
+        var canceledBy = [];
+        function makeScheduler(name) {
+            return {
+                schedule: function(callback) { return name; },
+                cancel: function(handle) { canceledBy.push(name + ':' + handle); }
+            };
+        }
+        ko.tasks.scheduler = makeScheduler('first');
+        ko.tasks.processDelayed(function() {});
+
+        ko.tasks.scheduler = makeScheduler('second');
+        ko.processAllDeferredUpdates();
+        expect(canceledBy).toEqual(['first:first']);
+    });
+
+    it('Should run tasks asynchronously using the microtask scheduler', function() {
+        ko.tasks.scheduler = ko.tasks.schedulers.microtask;
+
+        var runCount = 0;
+        ko.tasks.processDelayed(function() {
+            runCount++;
+        });
+        expect(runCount).toEqual(0);
+
+        waitsFor(function() { return runCount; }, 100);
+        runs(function() {
+            expect(runCount).toEqual(1);
+        });
+    });
+
+    it('Should not run a canceled callback from the microtask scheduler', function() {
+        var scheduler = ko.tasks.schedulers.microtask, runCount = 0, done = false;
+        var handle = scheduler.schedule(function() {
+            runCount++;
+        });
+        scheduler.cancel(handle);
+        scheduler.schedule(function() {
+            done = true;
+        });
+
+        waitsFor(function() { return done; }, 100);
+        runs(function() {
+            expect(runCount).toEqual(0);
+        });
+    });
+});
+
+describe('Task time budget', function() {
+    var scheduledCallbacks;
+
+    beforeEach(function() {
+        this.restoreAfter(ko.tasks, 'scheduler');
+        this.restoreAfter(ko.tasks, 'timeBudget');
+        scheduledCallbacks = [];
+        ko.tasks.scheduler = {
+            schedule: function(callback) {
+                return scheduledCallbacks.push(callback);
+            },
+            cancel: function(handle) {
+                scheduledCallbacks[handle - 1] = null;
+            }
+        };
+    });
+
+    function runScheduled() {
+        var callback = scheduledCallbacks[scheduledCallbacks.length - 1];
+        scheduledCallbacks[scheduledCallbacks.length - 1] = null;
+        if (callback)
+            callback();
+    }
+
+    function slowTask(runValues, value) {
+        return function() {
+            var start = new Date().getTime();
+            while (new Date().getTime() - start < 5) { }
+            runValues.push(value);
+        };
+    }
+
+    it('Should stop processing when the budget runs out and continue in the next scheduled run', function() {
+        var runValues = [];
+        ko.tasks.timeBudget = 1;
+        ko.tasks.processDelayed(slowTask(runValues, 'a'));
+        ko.tasks.processDelayed(slowTask(runValues, 'b'));
+        ko.tasks.processDelayed(slowTask(runValues, 'c'));
+
+        runScheduled();
+        expect(runValues).toEqual(['a']);
+        runScheduled();
+        expect(runValues).toEqual(['a','b']);
+        runScheduled();
+        expect(runValues).toEqual(['a','b','c']);
+        expect(scheduledCallbacks[scheduledCallbacks.length - 1]).toBeNull();
+    });
+
+    it('Should keep the order of tasks scheduled between runs', function() {
+        var runValues = [];
+        ko.tasks.timeBudget = 1;
+        ko.tasks.processDelayed(slowTask(runValues, 'a'));
+        ko.tasks.processDelayed(slowTask(runValues, 'b'));
+
+        runScheduled();
+        expect(runValues).toEqual(['a']);
+
+        ko.tasks.processDelayed(slowTask(runValues, 'c'), {priority:5});
+        runScheduled();
+        runScheduled();
+        expect(runValues).toEqual(['a','b','c']);
+    });
+
+    it('Should process all remaining tasks using processAllDeferredUpdates', function() {
+        var runValues = [];
+        ko.tasks.timeBudget = 1;
+        ko.tasks.processDelayed(slowTask(runValues, 'a'));
+        ko.tasks.processDelayed(slowTask(runValues, 'b'));
+        ko.tasks.processDelayed(slowTask(runValues, 'c'));
+
+        runScheduled();
+        expect(runValues).toEqual(['a']);
+        expect(ko.processAllDeferredUpdates()).toEqual(2);
+        expect(runValues).toEqual(['a','b','c']);
+    });
+});
+
+describe('Task handles', function() {
+    it('Should be pending until the task is run', function() {
+        var runCount = 0;
+        var handle = ko.tasks.processDelayed(function() {
+            runCount++;
+        });
+        expect(handle.isPending()).toEqual(true);
+
+        ko.processAllDeferredUpdates();
+        expect(runCount).toEqual(1);
+        expect(handle.isPending()).toEqual(false);
+    });
+
+    it('Should not run a task that was canceled', function() {
+        var runValues = [];
+        var func = function(value) {
+            runValues.push(value);
+        };
+        ko.tasks.processDelayed(func, false, {args:['a']});
+        var handle = ko.tasks.processDelayed(func, false, {args:['b']});
+        ko.tasks.processDelayed(func, false, {args:['c']});
+
+        handle.cancel();
+        expect(handle.isPending()).toEqual(false);
+
+        ko.processAllDeferredUpdates();
+        expect(runValues).toEqual(['a','c']);
+    });
+
+    it('Should be able to cancel a task from another task', function() {
+        var runValues = [], handle;
+        ko.tasks.processImmediate(function() {
+            ko.tasks.processDelayed(function() {
+                runValues.push('a');
+                handle.cancel();
+            });
+            handle = ko.tasks.processDelayed(function() {
+                runValues.push('b');
+            });
+        });
+        expect(runValues).toEqual(['a']);
+    });
+
+    it('Should no longer be pending if the task was scheduled again', function() {
+        var func = function() {};
+        var handle1 = ko.tasks.processDelayed(func);
+        var handle2 = ko.tasks.processDelayed(func);
+        expect(handle1.isPending()).toEqual(false);
+        expect(handle2.isPending()).toEqual(true);
+    });
+
+    it('Should no longer be pending if the task was removed because of too much recursion', function() {
+        var handle, other = function() {};
+        var func = function() {
+            handle = ko.tasks.processDelayed(other);
+            ko.tasks.processDelayed(func);
+        };
+        expect(function() {
+            ko.tasks.processImmediate(function() {
+                ko.tasks.processDelayed(func);
+            });
+        }).toThrowContaining('Too much recursion');
+        expect(handle.isPending()).toEqual(false);
+    });
+});
+
+describe('Task recursion', function() {
+    beforeEach(function() {
+        this.restoreAfter(ko.tasks, 'recursionLimit');
+    });
+
+    it('Should stop after the number of recursions set in ko.tasks.recursionLimit', function() {
+        var runCount = 0;
+        var func = function() {
+            runCount++;
+            ko.tasks.processDelayed(func);
+        };
+        ko.tasks.recursionLimit = 10;
+        expect(function() {
+            ko.tasks.processImmediate(function() {
+                ko.tasks.processDelayed(func);
+            });
+        }).toThrowContaining('Too much recursion');
+        expect(runCount).toEqual(10);
+    });
+
+    it('Should include the tasks that kept scheduling each other in the error', function() {
+        var node = document.createElement('div'), error;
+        var other = function() {};
+        var ping = function() {
+            ko.tasks.processDelayed(pong, {node:node});
+        };
+        var pong = function() {
+            ko.tasks.processDelayed(ping);
+            ko.tasks.processDelayed(other);
+        };
+        ko.tasks.recursionLimit = 10;
+        try {
+            ko.tasks.processImmediate(function() {
+                ko.tasks.processDelayed(ping);
+            });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).toContain('Too much recursion');
+        expect(error.tasks.length).toEqual(2);
+        expect(error.tasks[0].func).toBe(ping);
+        expect(error.tasks[0].runCount).toEqual(5);
+        expect(error.tasks[1].func).toBe(other);
+        expect(error.tasks[1].runCount).toEqual(4);
+    });
+
+    it('Should include the computed observables that kept updating each other in the error', function() {
+        var a = ko.observable(0), b = ko.observable(0), error;
+        var computedA = ko.computed(function updateB() {
+            b(a() + 1);
+        });
+        var computedB = ko.computed(function updateA() {
+            a(b() + 1);
+        });
+        ko.tasks.recursionLimit = 10;
+        try {
+            ko.processAllDeferredUpdates();
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).toContain('Too much recursion');
+        expect(error.message).toMatch(/including computed '(updateA|updateB)'/);
+        expect(error.tasks.length).toEqual(1);
+        expect(error.tasks[0].computed).toEqualOneOf([computedA, computedB]);
+        expect(error.tasks[0].name).toEqual(error.tasks[0].computed.getName());
+        computedA.dispose();
+        computedB.dispose();
+    });
+
+    it('Should count recursion across time-limited runs', function() {
+        var scheduledCallback, runCount = 0;
+        this.restoreAfter(ko.tasks, 'scheduler');
+        this.restoreAfter(ko.tasks, 'timeBudget');
+        ko.tasks.scheduler = {
+            schedule: function(callback) { scheduledCallback = callback; return 1; },
+            cancel: function() { scheduledCallback = null; }
+        };
+        ko.tasks.timeBudget = 1;
+        ko.tasks.recursionLimit = 10;
+
+        var func = function() {
+            runCount++;
+            var start = new Date().getTime();
+            while (new Date().getTime() - start < 2) { }
+            ko.tasks.processDelayed(func);
+        };
+        ko.tasks.processDelayed(func);
+        expect(function() {
+            while (scheduledCallback && runCount < 100) {
+                var callback = scheduledCallback;
+                scheduledCallback = null;
+                callback();
+            }
+        }).toThrowContaining('Too much recursion');
+        expect(runCount).toEqual(10);
+    });
+});
+
+describe('Task errors', function() {
+    afterEach(function() {
+        ko.tasks.onError(null);
+    });
+
+    it('Should run the remaining tasks and then re-throw the exception', function() {
+        var runValues = [];
+        expect(function() {
+            ko.tasks.processImmediate(function() {
+                ko.tasks.processDelayed(function() {
+                    runValues.push('a');
+                    throw Error("first");
+                });
+                ko.tasks.processDelayed(function() {
+                    runValues.push('b');
+                    throw Error("second");
+                });
+                ko.tasks.processDelayed(function() {
+                    runValues.push('c');
+                });
+            });
+        }).toThrowContaining('first');
+        expect(runValues).toEqual(['a','b','c']);
+    });
+
+    it('Should include all of the exceptions and their tasks in the re-thrown exception', function() {
+        var thrown, node = document.createElement('div');
+        try {
+            ko.tasks.processImmediate(function() {
+                ko.tasks.processDelayed(function() {
+                    throw Error("first");
+                });
+                ko.tasks.processDelayed(function() {
+                    throw Error("second");
+                }, {node:node, priority:ko.tasks.priority.normal});
+            });
+        } catch (e) {
+            thrown = e;
+        }
+        expect(thrown.message).toEqual('first');
+        expect(ko.utils.arrayMap(thrown.errors, function(taskError) {
+            return [taskError.error.message, taskError.task.node];
+        })).toEqual([['first', undefined], ['second', node]]);
+    });
+
+    it('Should report each exception to the error handler along with the task', function() {
+        var errors = [], runValues = [], node = document.createElement('div');
+        ko.tasks.onError(function(error, task) {
+            errors.push([error.message, task.node, task.args]);
+        });
+        ko.tasks.processImmediate(function() {
+            ko.tasks.processDelayed(function() {
+                throw Error("first");
+            }, {node:node});
+            ko.tasks.processDelayed(function(value) {
+                runValues.push(value);
+            }, {args:['b']});
+            ko.tasks.processDelayed(function(value) {
+                throw Error(value);
+            }, {args:['second']});
+        });
+        expect(runValues).toEqual(['b']);
+        expect(errors).toEqual([['first', node, undefined], ['second', undefined, ['second']]]);
+    });
+
+    it('Should report the computed observable whose update threw an exception', function() {
+        var errors = [],
+            observable = ko.observable(1),
+            computed = ko.computed(function() {
+                if (observable() > 1)
+                    throw Error("computed");
+            });
+        ko.tasks.onError(function(error, task) {
+            errors.push([error.message, task.computed]);
+        });
+        observable(2);
+        ko.processAllDeferredUpdates();
+        expect(errors).toEqual([['computed', computed]]);
+    });
+
+    it('Should keep processing other computed observables and bindings', function() {
+        var observable = ko.observable(1),
+            throwing = ko.computed(function() {
+                if (observable() > 1)
+                    throw Error("computed");
+            }),
+            notifiedValue,
+            other = ko.computed(function() { return observable() * 10; });
+        other.subscribe(function(value) { notifiedValue = value; });
+        ko.tasks.onError(function() {});
+
+        observable(2);
+        ko.processAllDeferredUpdates();
+        expect(notifiedValue).toEqual(20);
+    });
+
+    it('Should report the remaining exceptions and become idle if the error handler throws', function() {
+        var errors = [], resolved = false, thrown;
+        ko.tasks.onError(function(error) {
+            errors.push(error.message);
+            throw Error("handler " + error.message);
+        });
+        ko.tasks.whenIdle().then(function() {
+            resolved = true;
+        });
+        ko.tasks.processDelayed(function() {
+            throw Error("first");
+        });
+        ko.tasks.processDelayed(function() {
+            throw Error("second");
+        });
+        try {
+            ko.processAllDeferredUpdates();
+        } catch (e) {
+            thrown = e;
+        }
+        expect(errors).toEqual(['first', 'second']);
+        expect(thrown.message).toEqual('handler first');
+        expect(thrown.errors.length).toEqual(2);
+        waitsFor(function() {
+            return resolved;
+        }, 'whenIdle to resolve', 500);
+    });
+});
+
+describe('Waiting for idle', function() {
+    it('Should resolve right away if no tasks are scheduled', function() {
+        var resolved = false;
+        ko.tasks.whenIdle().then(function() {
+            resolved = true;
+        });
+        waitsFor(function() { return resolved; }, 100);
+    });
+
+    it('Should resolve once the scheduled tasks, and any tasks they schedule, have run', function() {
+        var runValues = [], resolvedRunValues;
+        ko.tasks.processDelayed(function() {
+            runValues.push('a');
+            ko.tasks.processDelayed(function() {
+                runValues.push('b');
+            });
+        });
+        ko.tasks.whenIdle().then(function() {
+            resolvedRunValues = runValues.slice();
+        });
+        expect(runValues).toEqual([]);
+
+        waitsFor(function() { return resolvedRunValues; }, 500);
+        runs(function() {
+            expect(resolvedRunValues).toEqual(['a','b']);
+        });
+    });
+
+    it('Should resolve once deferred updates are done', function() {
+        var observable = ko.observable('A'),
+            computed = ko.computed(function() { return observable() + '!'; }),
+            notifiedValue, resolvedValue;
+        computed.subscribe(function(value) {
+            notifiedValue = value;
+        });
+
+        observable('B');
+        ko.tasks.whenIdle().then(function() {
+            resolvedValue = notifiedValue;
+        });
+
+        waitsFor(function() { return resolvedValue; }, 500);
+        runs(function() {
+            expect(resolvedValue).toEqual('B!');
+        });
+    });
+
+    it('Should resolve after the tasks in the current task context have run', function() {
+        var runValues = [], resolvedRunValues;
+        ko.tasks.processImmediate(function() {
+            ko.tasks.whenIdle().then(function() {
+                resolvedRunValues = runValues.slice();
+            });
+            ko.tasks.processDelayed(function() {
+                runValues.push('a');
+            });
+        });
+        waitsFor(function() { return resolvedRunValues; }, 100);
+        runs(function() {
+            expect(resolvedRunValues).toEqual(['a']);
+        });
+    });
+
+    it('Should resolve once a pending timer task is canceled', function() {
+        var runCount = 0, resolved = false;
+        var task = ko.evaluateAsynchronously(function() { runCount++; }, 50);
+        ko.tasks.whenIdle().then(function() {
+            resolved = true;
+        });
+        task.cancel();
+
+        waitsFor(function() { return resolved; }, 'whenIdle to resolve', 30);
+        runs(function() {
+            expect(runCount).toEqual(0);
+        });
+    });
+});
+
+describe('Task events', function() {
+    var subscriptions;
+    beforeEach(function() {
+        subscriptions = [];
+    });
+    afterEach(function() {
+        ko.utils.arrayForEach(subscriptions, function(subscription) {
+            subscription.dispose();
+        });
+    });
+
+    function recordEvents(events) {
+        var recorded = [];
+        ko.utils.arrayForEach(events, function(event) {
+            subscriptions.push(ko.tasks.subscribe(function(info) {
+                recorded.push([event, info]);
+            }, null, event));
+        });
+        return recorded;
+    }
+
+    it('Should notify when tasks are scheduled, started, and finished', function() {
+        var recorded = recordEvents(['taskScheduled', 'taskStarted', 'taskFinished']),
+            node = document.createElement('div'),
+            func = function() {};
+
+        var task = ko.tasks.processDelayed(func, {node:node});
+        expect(recorded.length).toEqual(1);
+        expect(recorded[0][0]).toEqual('taskScheduled');
+        expect(recorded[0][1].task).toBe(task);
+        expect(recorded[0][1].node).toBe(node);
+        expect(recorded[0][1].queueLength).toEqual(1);
+        expect(recorded[0][1].immediate).toEqual(false);
+
+        ko.processAllDeferredUpdates();
+        expect(recorded.length).toEqual(3);
+        expect(recorded[1][0]).toEqual('taskStarted');
+        expect(recorded[1][1].task).toBe(task);
+        expect(recorded[1][1].queueLength).toEqual(0);
+        expect(recorded[2][0]).toEqual('taskFinished');
+        expect(recorded[2][1].task).toBe(task);
+        expect(typeof recorded[2][1].duration).toEqual('number');
+        expect(recorded[2][1].time).toBeGreaterThan(recorded[1][1].time - 1);
+    });
+
+    it('Should notify when the queue is processed', function() {
+        var recorded = recordEvents(['flushStarted', 'flushEnded']);
+
+        ko.tasks.processDelayed(function() {});
+        ko.tasks.processDelayed(function() {});
+        ko.processAllDeferredUpdates();
+
+        expect(recorded.length).toEqual(2);
+        expect(recorded[0][0]).toEqual('flushStarted');
+        expect(recorded[0][1].queueLength).toEqual(2);
+        expect(recorded[0][1].immediate).toEqual(false);
+        expect(recorded[1][0]).toEqual('flushEnded');
+        expect(recorded[1][1].queueLength).toEqual(0);
+        expect(recorded[1][1].processed).toEqual(2);
+        expect(typeof recorded[1][1].duration).toEqual('number');
+    });
+
+    it('Should indicate whether tasks are run from processImmediate', function() {
+        var recorded = recordEvents(['taskScheduled', 'taskStarted', 'flushStarted']);
+
+        ko.tasks.processImmediate(function() {
+            ko.tasks.processDelayed(function() {});
+        });
+        expect(ko.utils.arrayMap(recorded, function(event) {
+            return [event[0], event[1].immediate];
+        })).toEqual([['taskScheduled', true], ['flushStarted', true], ['taskStarted', true]]);
+    });
+
+    it('Should include the computed observable for its updates', function() {
+        var recorded = recordEvents(['taskStarted']),
+            observable = ko.observable(1),
+            computed = ko.computed(function() { return observable(); });
+
+        observable(2);
+        ko.processAllDeferredUpdates();
+        expect(recorded.length).toEqual(1);
+        expect(recorded[0][1].computed).toBe(computed);
+    });
+
+    it('Should stop notifying when the subscription is disposed', function() {
+        var recorded = recordEvents(['taskScheduled']);
+        subscriptions[0].dispose();
+        ko.tasks.processDelayed(function() {});
+        expect(recorded).toEqual([]);
+    });
+
+    it('Should not count canceled or replaced tasks in the queue length', function() {
+        var recorded = recordEvents(['taskScheduled']), func = function() {};
+        ko.tasks.processDelayed(func);
+        ko.tasks.processDelayed(func);
+        ko.tasks.processDelayed(function() {}).cancel();
+        ko.tasks.processDelayed(function() {});
+        expect(ko.utils.arrayMap(recorded, function(event) {
+            return event[1].queueLength;
+        })).toEqual([1, 1, 2, 2]);
+    });
+});
+
+describe('Pending tasks', function() {
+    it('Should list the tasks waiting to run', function() {
+        var node = document.createElement('div'), object = {},
+            func1 = function() {}, func2 = function() {};
+        expect(ko.tasks.getPending()).toEqual([]);
+
+        var task1 = ko.tasks.processDelayed(func1, {object:object, args:[1]});
+        var task2 = ko.tasks.processDelayed(func2, {node:node});
+        var pending = ko.tasks.getPending();
+        expect(pending.length).toEqual(2);
+        expect(pending[0].task).toBe(task2);     // binding tasks are run first
+        expect(pending[0].evaluator).toBe(func2);
+        expect(pending[0].node).toBe(node);
+        expect(pending[0].context).toEqual(0);
+        expect(pending[1].task).toBe(task1);
+        expect(pending[1].evaluator).toBe(func1);
+        expect(pending[1].object).toBe(object);
+        expect(pending[1].args).toEqual([1]);
+
+        task2.cancel();
+        expect(ko.tasks.getPending().length).toEqual(1);
+
+        ko.processAllDeferredUpdates();
+        expect(ko.tasks.getPending()).toEqual([]);
+    });
+
+    it('Should include the processImmediate context of each task', function() {
+        var contexts, depths = [];
+        depths.push(ko.tasks.getContextDepth());
+        ko.tasks.processDelayed(function() {}, {args:['o']});
+        ko.tasks.processImmediate(function() {
+            depths.push(ko.tasks.getContextDepth());
+            ko.tasks.processDelayed(function() {}, {args:['i1']});
+            ko.tasks.processImmediate(function() {
+                depths.push(ko.tasks.getContextDepth());
+                ko.tasks.processDelayed(function() {}, {args:['i2']});
+                contexts = ko.utils.arrayMap(ko.tasks.getPending(), function(pending) {
+                    return [pending.args[0], pending.context];
+                });
+            });
+        });
+        expect(depths).toEqual([0, 1, 2]);
+        expect(contexts).toEqual([['o', 0], ['i1', 1], ['i2', 2]]);
+    });
+
+    it('Should include the computed observable for its update', function() {
+        var observable = ko.observable(1),
+            computed = ko.computed(function() { return observable(); });
+        observable(2);
+        var pending = ko.tasks.getPending();
+        expect(pending.length).toEqual(1);
+        expect(pending[0].computed).toBe(computed);
+    });
+});
+
+describe('Manual scheduler', function() {
+    beforeEach(function() {
+        ko.tasks.useManualScheduler();
+    });
+    afterEach(function() {
+        ko.tasks.restoreScheduler();
+    });
+
+    it('Should resolve whenIdle once the only queued task is canceled', function() {
+        var resolved = false;
+        var task = ko.tasks.processDelayed(function() {});
+        ko.tasks.whenIdle().then(function() {
+            resolved = true;
+        });
+        task.cancel();
+        waitsFor(function() { return resolved; }, 'whenIdle to resolve', 100);
+    });
+
+    it('Should not run tasks until asked to', function() {
+        var runCount = 0;
+        ko.tasks.processDelayed(function() {
+            runCount++;
+        });
+        waits(20);
+        runs(function() {
+            expect(runCount).toEqual(0);
+            expect(ko.tasks.runAll()).toEqual(1);
+            expect(runCount).toEqual(1);
+        });
+    });
+
+    it('Should run one task at a time using runNext', function() {
+        var runValues = [];
+        var func = function(value) {
+            runValues.push(value);
+            if (value == 'a')
+                ko.tasks.processDelayed(func, false, {args:['c']});
+        };
+        ko.tasks.processDelayed(func, false, {args:['a']});
+        ko.tasks.processDelayed(func, false, {args:['b']});
+
+        expect(ko.tasks.runNext()).toEqual(1);
+        expect(runValues).toEqual(['a']);
+        expect(ko.tasks.runNext()).toEqual(1);
+        expect(runValues).toEqual(['a','b']);
+        expect(ko.tasks.runNext()).toEqual(1);
+        expect(runValues).toEqual(['a','b','c']);
+        expect(ko.tasks.runNext()).toEqual(0);
+    });
+
+    it('Should step through deferred updates to computed observables', function() {
+        var observable = ko.observable('A'),
+            computed = ko.computed(function() { return observable(); }),
+            notifiedValues = [];
+        computed.subscribe(function(value) {
+            notifiedValues.push(value);
+        });
+
+        observable('B');
+        expect(ko.tasks.runNext()).toEqual(1);     // update the computed
+        expect(notifiedValues).toEqual([]);
+        expect(ko.tasks.runNext()).toEqual(1);     // notify the subscription
+        expect(notifiedValues).toEqual(['B']);
+        expect(ko.tasks.runNext()).toEqual(0);
+    });
+
+    it('Should still run tasks at the end of processImmediate', function() {
+        var runCount = 0;
+        ko.tasks.processImmediate(function() {
+            ko.tasks.processDelayed(function() {
+                runCount++;
+            });
+        });
+        expect(runCount).toEqual(1);
+    });
+
+    it('Should run pending tasks using the previous scheduler once restored', function() {
+        var runCount = 0;
+        ko.tasks.processDelayed(function() {
+            runCount++;
+        });
+        ko.tasks.restoreScheduler();
+        expect(ko.tasks.scheduler).not.toBe(ko.tasks.schedulers.manual);
+
+        waitsFor(function() { return runCount; }, 100);
+    });
+});
+
+describe('Idle tasks', function() {
+    beforeEach(function() {
+        this.restoreAfter(ko.tasks, 'idleScheduler');
+        ko.tasks.idleScheduler = ko.tasks.schedulers.manual;
+    });
+
+    it('Should not be run with the other tasks', function() {
+        var runValues = [];
+        ko.tasks.processDelayed(function() { runValues.push('idle'); }, {idle:true});
+        ko.tasks.processDelayed(function() { runValues.push('normal'); });
+
+        ko.processAllDeferredUpdates();
+        expect(runValues).toEqual(['normal']);
+        expect(ko.tasks.getPending().length).toEqual(1);
+        expect(ko.tasks.getPending()[0].idle).toEqual(true);
+
+        expect(ko.tasks.runIdle()).toEqual(1);
+        expect(runValues).toEqual(['normal', 'idle']);
+        expect(ko.tasks.getPending().length).toEqual(0);
+    });
+
+    it('Should run the tasks scheduled by idle tasks right away', function() {
+        var runValues = [];
+        ko.tasks.processDelayed(function() {
+            runValues.push('idle');
+            ko.tasks.processDelayed(function() { runValues.push('scheduled'); });
+        }, {idle:true});
+
+        ko.tasks.runIdle();
+        expect(runValues).toEqual(['idle', 'scheduled']);
+    });
+
+    it('Should only run an idle task once if it is scheduled more than once', function() {
+        var runCount = 0, func = function() { runCount++; },
+            task1 = ko.tasks.processDelayed(func, {idle:true}),
+            task2 = ko.tasks.processDelayed(func, {idle:true});
+
+        expect(task1.isPending()).toEqual(false);
+        expect(task2._replaced).toEqual(true);
+        ko.tasks.runIdle();
+        expect(runCount).toEqual(1);
+    });
+
+    it('Should be run by the idle scheduler', function() {
+        var scheduledCallback;
+        ko.tasks.idleScheduler = {
+            schedule: function(callback) { scheduledCallback = callback; return 1; },
+            cancel: function() {}
+        };
+        var runCount = 0;
+        ko.tasks.processDelayed(function() { runCount++; }, {idle:true});
+        expect(runCount).toEqual(0);
+
+        scheduledCallback();
+        expect(runCount).toEqual(1);
+    });
+});
+
+describe('Timer tasks', function() {
+    beforeEach(function() {
+        jasmine.Clock.useMock();
+    });
+
+    it('Should run after the given delay', function() {
+        var runCount = 0;
+        ko.tasks.processDelayed(function() { runCount++; }, {delay:100});
+        ko.processAllDeferredUpdates();
+        expect(runCount).toEqual(0);
+
+        jasmine.Clock.tick(99);
+        expect(runCount).toEqual(0);
+        jasmine.Clock.tick(1);
+        expect(runCount).toEqual(1);
+    });
+
+    it('Should restart the delay if scheduled again', function() {
+        var runCount = 0, func = function() { runCount++; };
+        ko.tasks.processDelayed(func, {delay:100});
+        jasmine.Clock.tick(50);
+        ko.tasks.processDelayed(func, {delay:100});
+        jasmine.Clock.tick(50);
+        expect(runCount).toEqual(0);
+        jasmine.Clock.tick(50);
+        expect(runCount).toEqual(1);
+    });
+
+    it('Should not run if canceled', function() {
+        var runCount = 0,
+            task = ko.tasks.processDelayed(function() { runCount++; }, {delay:100});
+        task.cancel();
+        jasmine.Clock.tick(100);
+        expect(runCount).toEqual(0);
+        expect(ko.tasks.getPending().length).toEqual(0);
+    });
+
+    it('Should run all timer tasks in the order they are due using processAllDeferredUpdates with includeTimers', function() {
+        var runValues = [];
+        ko.tasks.processDelayed(function() {
+            runValues.push('b');
+            ko.tasks.processDelayed(function() { runValues.push('d'); }, {delay:100});
+            ko.tasks.processDelayed(function() { runValues.push('c'); });
+        }, {delay:200});
+        ko.tasks.processDelayed(function() { runValues.push('a'); }, {delay:100});
+
+        expect(ko.tasks.getPending().length).toEqual(2);
+        ko.processAllDeferredUpdates({includeTimers:true});
+        expect(runValues).toEqual(['a', 'b', 'c', 'd']);
+        expect(ko.tasks.getPending().length).toEqual(0);
+
+        jasmine.Clock.tick(200);
+        expect(runValues).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    it('Should be used by evaluateAsynchronously', function() {
+        var runCount = 0;
+        ko.evaluateAsynchronously(function() { runCount++; }, 100);
+        ko.evaluateAsynchronously(function() { runCount++; }, 100).cancel();
+        ko.processAllDeferredUpdates({includeTimers:true});
+        expect(runCount).toEqual(1);
+    });
+});
+
+describe('Slow tasks', function() {
+    var reports;
+    function busyWait(ms) {
+        var end = new Date().getTime() + ms;
+        while (new Date().getTime() <= end) { }
+    }
+
+    beforeEach(function() {
+        this.restoreAfter(ko.tasks, 'slowTaskThreshold');
+        ko.tasks.slowTaskThreshold = 10;
+        reports = [];
+        ko.tasks.onSlowTask(function(report) {
+            reports.push(report);
+        });
+    });
+    afterEach(function() {
+        ko.tasks.onSlowTask(null);
+    });
+
+    it('Should report tasks that take longer than the threshold', function() {
+        var slowTask = ko.tasks.processDelayed(function() { busyWait(15); });
+        ko.tasks.processDelayed(function() { });
+        ko.processAllDeferredUpdates();
+
+        expect(reports.length).toEqual(1);
+        expect(reports[0].task).toBe(slowTask);
+        expect(reports[0].duration).toBeGreaterThan(10);
+    });
+
+    it('Should include the name and dependency count of the computed observable', function() {
+        var a = ko.observable(), b = ko.observable(), slow = false;
+        var computed = ko.computed(function slowComputed() {
+            if (slow) busyWait(15);
+            return [a(), b()];
+        });
+
+        slow = true;
+        a(1);
+        ko.processAllDeferredUpdates();
+
+        expect(reports.length).toEqual(1);
+        expect(reports[0].computed).toBe(computed);
+        expect(reports[0].name).toEqual('slowComputed');
+        expect(reports[0].dependenciesCount).toEqual(2);
+        expect(reports[0].node).toBeFalsy();
+    });
+
+    it('Should not report anything if the threshold is not set', function() {
+        ko.tasks.slowTaskThreshold = undefined;
+        ko.tasks.processDelayed(function() { busyWait(15); });
+        ko.processAllDeferredUpdates();
+        expect(reports.length).toEqual(0);
+    });
+});